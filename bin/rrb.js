@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+const Admin = require('../lib/admin');
+
+const usage = `Usage: rrb <command> [arguments] [options]
+
+Commands:
+  queues                        Lists all known queues and their lengths.
+  peek <queue>                  Shows queued requests without removing them.
+  purge <queue> [ids...]        Removes queued requests.
+  requeue <queue> [ids...]      Moves dead letters back into the request queue.
+  recover <queue>               Moves requests held by dead workers back into the request queue.
+  channels                      Lists all pub / sub channels and their amount of subscribers.
+  subscribers <channel>         Shows the amount of subscribers of a pub / sub channel.
+  workers [queue]               Lists the live workers of a queue or of all queues.
+
+Options:
+  --host <host>                 The host of the redis server. Defaults to 127.0.0.1.
+  --port <port>                 The port of the redis server. Defaults to 6379.
+  --db <db>                     The redis database to use.
+  --password <password>         The password of the redis server.
+  --prefix <prefix>             The key prefix to use. Defaults to 'rrb:'.
+  --priority <priority>         Only peek at or purge requests of this priority.
+  --start <index>               The index of the first request to peek at. Defaults to 0.
+  --count <count>               The maximum amount of requests to peek at. Defaults to 100.
+  --help                        Shows this help.
+
+Results are written to stdout as JSON.`;
+
+/**
+ * Splits the command line arguments into positional arguments and options.
+ */
+function parseArguments(argv) {
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.push(argv[i]);
+            continue;
+        }
+
+        const name = argv[i].slice(2);
+        if (name === 'help') {
+            options.help = true;
+            continue;
+        }
+
+        if (i + 1 >= argv.length)
+            throw new Error(`Missing value for option '--${name}'.`);
+        options[name] = argv[++i];
+    }
+    return { args, options };
+}
+
+function required(value, name) {
+    if (value === undefined)
+        throw new Error(`Missing argument <${name}>.`);
+    return value;
+}
+
+function number(value) {
+    return value === undefined ? undefined : Number(value);
+}
+
+function priority(value) {
+    return value !== undefined && !isNaN(value) ? Number(value) : value;
+}
+
+async function run(admin, command, args, options) {
+    const ids = args.length > 1 ? args.slice(1) : undefined;
+    switch (command) {
+        case 'queues':
+            return admin.queues();
+        case 'peek':
+            return admin.peek(required(args[0], 'queue'), { priority: priority(options.priority), start: number(options.start), count: number(options.count) });
+        case 'purge':
+            return admin.purge(required(args[0], 'queue'), { priority: priority(options.priority), ids });
+        case 'requeue':
+            return admin.requeue(required(args[0], 'queue'), ids);
+        case 'recover':
+            return admin.recover(required(args[0], 'queue'));
+        case 'channels':
+            return admin.channels();
+        case 'subscribers':
+            return admin.subscribers(required(args[0], 'channel'));
+        case 'workers': {
+            if (args[0])
+                return admin.workers(args[0]);
+            const workers = [];
+            for (const { queue } of await admin.queues())
+                workers.push(...await admin.workers(queue));
+            return workers;
+        }
+        default:
+            throw new Error(`Unknown command '${command}'.`);
+    }
+}
+
+async function main() {
+    const { args, options } = parseArguments(process.argv.slice(2));
+    const command = args.shift();
+    if (!command || options.help) {
+        console.log(usage);
+        return;
+    }
+
+    const redis = { prefix: options.prefix !== undefined ? options.prefix : 'rrb:' };
+    if (options.host) redis.host = options.host;
+    if (options.port) redis.port = Number(options.port);
+    if (options.db) redis.db = options.db;
+    if (options.password) redis.password = options.password;
+    // Fail instead of retrying to connect forever
+    redis.retry_strategy = o => new Error(`Cannot connect to redis: ${o.error ? o.error.message : 'connection lost'}`);
+
+    // Only errors are reported, as stdout is reserved for the result
+    const admin = new Admin({ redis, logger: () => { } });
+    await admin.connect();
+    admin.client.redis.on('error', () => { }); // Failing commands report the error
+    try {
+        const result = await run(admin, command, args, options);
+        console.log(JSON.stringify(result, null, 2));
+    }
+    finally {
+        await admin.disconnect();
+    }
+}
+
+main().catch(error => {
+    // Commands failing due to connection errors wrap the original error
+    console.error(error.origin ? error.origin.message : error.message);
+    process.exitCode = 1;
+});
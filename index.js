@@ -2,4 +2,10 @@ module.exports.Worker = require('./lib/worker');
 module.exports.Client = require('./lib/client');
 module.exports.Subscriber = require('./lib/subscriber');
 module.exports.Publisher = require('./lib/publisher');
+module.exports.DeadLetterQueue = require('./lib/deadLetterQueue');
+module.exports.Admin = require('./lib/admin');
 module.exports.Defaults = require('./lib/defaults');
+module.exports.Errors = require('./lib/errors');
+module.exports.Codecs = require('./lib/codecs');
+module.exports.Metrics = require('./lib/metrics');
+module.exports.Tracing = require('./lib/tracing');
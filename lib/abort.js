@@ -0,0 +1,40 @@
+/**
+ * Creates a new abort controller.
+ * 
+ * Uses the native `AbortController` when available and falls back to a
+ * minimal implementation with the same interface for older node versions.
+ */
+module.exports.createController = function () {
+    if (typeof AbortController !== 'undefined')
+        return new AbortController();
+
+    const listeners = [];
+    const signal = {
+        aborted: false,
+        onabort: null,
+        addEventListener: (type, listener) => {
+            if (type === 'abort')
+                listeners.push(listener);
+        },
+        removeEventListener: (type, listener) => {
+            const index = listeners.indexOf(listener);
+            if (type === 'abort' && index >= 0)
+                listeners.splice(index, 1);
+        }
+    };
+
+    return {
+        signal,
+        abort: () => {
+            if (signal.aborted)
+                return;
+
+            signal.aborted = true;
+            const event = { type: 'abort', target: signal };
+            if (typeof signal.onabort === 'function')
+                signal.onabort(event);
+            for (const listener of listeners.splice(0))
+                listener(event);
+        }
+    };
+}
@@ -0,0 +1,306 @@
+const redis = require("handy-redis");
+const uniqid = require('uniqid');
+
+const keys = require('./keys');
+const messages = require('./messages');
+const defaults = require('./defaults');
+const priorities = require('./priorities');
+const scripts = require('./scripts');
+const workerRegistry = require('./workerRegistry');
+const DeadLetterQueue = require('./deadLetterQueue');
+
+module.exports = class Admin {
+
+    /**
+     * Allows to inspect and manage the queues and channels of the request broker,
+     * like listing queues, peeking at or purging queued requests and listing
+     * live workers.
+     * 
+     * @param options Advanced options to configure the admin. Available options are:
+     * 
+     *  - redis
+     *  - logger
+     *  - levels
+     *  - codec
+     * 
+     *  See `defaults` for more details on these options.
+     */
+    constructor(options) {
+        this.id = uniqid();
+        this.options = options;
+
+        const o = defaults.apply(options);
+        this.logger = o.logger;
+        this.levels = o.levels;
+        this.codec = o.codec;
+        this.redisOptions = o.redis;
+        this.prefix = this.redisOptions ? this.redisOptions.prefix || '' : '';
+
+        this._log(this.levels.debug, 'constructor', `Initialized new admin.`);
+    }
+
+    /**
+     * Connects to the redis. This needs to be called before using the admin.
+     * You should consider calling disconnect when done to free up recources.
+     */
+    async connect() {
+        this._log(this.levels.info, 'connect', 'Connecting to redis.');
+        // Requests of binary codecs have to be read as buffers
+        this.client = redis.createHandyClient({ ...this.redisOptions, detect_buffers: true });
+    }
+
+    /**
+     * Disconnects from redis.
+     */
+    async disconnect() {
+        if (!this.client)
+            return;
+
+        this._log(this.levels.info, 'disconnect', 'Disconnecting from redis.');
+        try {
+            await this.client.quit();
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'disconnect', 'Failed to close redis connection. Trying to force.');
+            this.client.redis.end(false);
+            throw error;
+        }
+        finally {
+            this.client = undefined;
+        }
+    }
+
+    /**
+     * Resolves with all known queues, ordered by name. A queue is known if it has
+     * queued requests or live workers. Every queue has the properties queue, length,
+     * which is the total amount of queued requests, and lengths, which holds the
+     * amount of queued requests per priority.
+     */
+    async queues() {
+        this._checkConnected();
+        const names = new Set();
+        for (const key of await this._scan('q:*'))
+            names.add(parseRequestQueue(key));
+        for (const key of await this._scan('ws:*'))
+            names.add(key.slice('ws:'.length));
+
+        const queues = [];
+        for (const queue of [...names].sort()) {
+            const lengths = {};
+            for (const priority of priorities.names)
+                lengths[priority] = await this.client.llen(keys.requestQueue(queue, priority));
+
+            const length = Object.values(lengths).reduce((a, b) => a + b, 0);
+            queues.push({ queue, length, lengths });
+        }
+
+        return queues;
+    }
+
+    /**
+     * Resolves with queued requests without removing them, in the order workers
+     * would take them. Every request has the properties id, priority, data, metadata,
+     * ttl, deadline, idempotencyKey, stream and sent. Requests that cannot be parsed only
+     * have the properties priority, raw and error.
+     * @param {string} queue The name of the queue.
+     * @param {object} options Optional object with the properties:
+     *   - priority: Only peek at requests of this priority. Defaults to all priorities.
+     *   - start: The index of the first request to return. Defaults to `0`.
+     *   - count: The maximum amount of requests to return. Defaults to `100`.
+     */
+    async peek(queue, options) {
+        this._checkConnected();
+        options = options || {};
+        let skip = options.start || 0;
+        const count = options.count || 100;
+
+        const requests = [];
+        for (const priority of selectPriorities(options.priority)) {
+            if (requests.length >= count)
+                break;
+
+            const key = keys.requestQueue(queue, priority);
+            const length = await this.client.llen(key);
+            if (skip >= length) {
+                skip -= length;
+                continue;
+            }
+
+            // A buffer key makes redis reply with buffers
+            const entries = await this.client.lrange(Buffer.from(key), skip, skip + count - requests.length - 1);
+            requests.push(...entries.map(raw => this._parse(raw, priority)));
+            skip = 0;
+        }
+
+        return requests;
+    }
+
+    /**
+     * Removes queued requests, so that no worker will handle them.
+     * 
+     * Resolves with the amount of removed requests.
+     * @param {string} queue The name of the queue.
+     * @param {object} options Optional object with the properties:
+     *   - priority: Only remove requests of this priority. Defaults to all priorities.
+     *   - ids: The ids of the requests to remove. All requests are removed if omitted.
+     */
+    async purge(queue, options) {
+        this._checkConnected();
+        options = options || {};
+
+        let purged = 0;
+        for (const priority of selectPriorities(options.priority)) {
+            const key = keys.requestQueue(queue, priority);
+            if (!options.ids) {
+                purged += await this.client.eval(scripts.purge, 1, [key], []);
+                continue;
+            }
+
+            for (const raw of await this.client.lrange(Buffer.from(key), 0, -1)) {
+                const request = this._parse(raw, priority);
+                if (options.ids.includes(request.id))
+                    purged += await this.client.lrem(key, 1, raw);
+            }
+        }
+
+        this._log(this.levels.info, 'purge', `Purged ${purged} requests of queue '${queue}'.`);
+        return purged;
+    }
+
+    /**
+     * Moves entries of the dead letter queue of a queue back into the request
+     * queue, so that workers will handle them again.
+     * 
+     * Resolves with the amount of requeued entries.
+     * @param {string} queue The name of the queue.
+     * @param {string[]} ids The ids of the entries to requeue. All entries are requeued if omitted.
+     */
+    async requeue(queue, ids) {
+        this._checkConnected();
+        const deadLetterQueue = new DeadLetterQueue(queue, this.options);
+        await deadLetterQueue.connect();
+        try {
+            return await deadLetterQueue.requeue(ids);
+        }
+        finally {
+            await deadLetterQueue.disconnect();
+        }
+    }
+
+    /**
+     * Moves requests held by dead workers running in reliable mode back into the
+     * request queue. This is what workers do on their own when they start listening.
+     * 
+     * Resolves with the amount of recovered requests.
+     * @param {string} queue The name of the queue.
+     */
+    async recover(queue) {
+        this._checkConnected();
+        const recovered = (await workerRegistry.recoverAll(this.client, queue, this.prefix))
+            .reduce((sum, { count }) => sum + count, 0);
+        this._log(this.levels.info, 'recover', `Recovered ${recovered} requests of queue '${queue}'.`);
+        return recovered;
+    }
+
+    /**
+     * Resolves with all pub / sub channels that have subscribers, ordered by name.
+     * Every channel has the properties channel and subscribers, the amount of
+     * subscribers. Subscribers of patterns are not included.
+     */
+    async channels() {
+        this._checkConnected();
+        const channels = await this.client.pubsub('CHANNELS', keys.pubSubChannel('*', this.prefix));
+        if (channels.length === 0)
+            return [];
+
+        const counts = await this.client.pubsub('NUMSUB', ...channels);
+        const result = [];
+        for (let i = 0; i < counts.length; i += 2)
+            result.push({ channel: counts[i].slice(keys.pubSubChannel('', this.prefix).length), subscribers: Number(counts[i + 1]) });
+
+        return result.sort((a, b) => a.channel < b.channel ? -1 : a.channel > b.channel ? 1 : 0);
+    }
+
+    /**
+     * Resolves with the amount of subscribers of a pub / sub channel.
+     * Subscribers of patterns are not included.
+     * @param {string} channel The name of the channel.
+     */
+    async subscribers(channel) {
+        this._checkConnected();
+        const counts = await this.client.pubsub('NUMSUB', keys.pubSubChannel(channel, this.prefix));
+        return Number(counts[1]);
+    }
+
+    /**
+     * Resolves with the live workers of a queue. See `Client.workers` for
+     * the properties of a worker.
+     * @param {string} queue The name of the queue.
+     */
+    async workers(queue) {
+        this._checkConnected();
+        return workerRegistry.workers(this.client, queue);
+    }
+
+    /**
+     * Internal method.
+     * Resolves with all keys matching a pattern, without the key prefix.
+     */
+    async _scan(pattern) {
+        const found = [];
+        let cursor = '0';
+        do {
+            // Patterns are not prefixed by redis, but the keys it returns are
+            const [next, matches] = await this.client.scan(cursor, ['MATCH', this.prefix + pattern], ['COUNT', 100]);
+            found.push(...matches.map(k => k.slice(this.prefix.length)));
+            cursor = next;
+        } while (cursor !== '0');
+
+        return found;
+    }
+
+    /**
+     * Internal method.
+     * Parses a queued request for displaying it.
+     */
+    _parse(raw, priority) {
+        try {
+            const { id, data, metadata, ttl, deadline, idempotencyKey, stream, sent } = messages.parseRequest(raw, this.codec);
+            return { id, priority, data, metadata, ttl, deadline, idempotencyKey, stream, sent };
+        }
+        catch (error) {
+            return { priority, raw: raw.toString(), error: error.message };
+        }
+    }
+
+    _checkConnected() {
+        if (!this.client) {
+            this._log(this.levels.info, 'access', 'Tried using an admin that is not connected.');
+            throw new Error('Admin not connected');
+        }
+    }
+
+    _log(level, scope, message) {
+        this.logger(level, message, 'admin', this.id, scope);
+    }
+}
+
+/**
+ * Returns the name of the queue of a request queue key.
+ */
+function parseRequestQueue(key) {
+    const name = key.slice('q:'.length);
+    for (const priority of priorities.names) {
+        // Requests of normal priority use the plain queue name
+        if (priority !== 'normal' && name.endsWith(`:${priority}`))
+            return name.slice(0, -priority.length - 1);
+    }
+    return name;
+}
+
+/**
+ * Returns the names of the given priority or all priorities if omitted.
+ */
+function selectPriorities(priority) {
+    return priority === undefined ? priorities.names : [priorities.resolve(priority)];
+}
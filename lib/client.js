@@ -6,6 +6,15 @@ const keys = require('./keys');
 const messages = require('./messages');
 const defaults = require('./defaults');
 const runningRequests = require('./runningRequests');
+const { AbortError, TimeoutError, MethodNotFoundError, NoWorkersAvailableError } = require('./errors');
+const priorities = require('./priorities');
+const retry = require('./retry');
+const rpc = require('./rpc');
+const validation = require('./validation');
+const middleware = require('./middleware');
+const metrics = require('./metrics');
+const workerRegistry = require('./workerRegistry');
+const clock = require('./clock');
 
 module.exports = class Client {
 
@@ -20,6 +29,12 @@ module.exports = class Client {
      *  - timeout
      *  - logger
      *  - levels
+     *  - retry
+     *  - codec
+     *  - schema
+     *  - metrics
+     *  - tracer
+     *  - failFast
      *  
      *  See `defaults` for more details on these options.
      */
@@ -29,6 +44,21 @@ module.exports = class Client {
 
         const o = defaults.apply(options);
         this.timeout = o.timeout;
+        this.retry = retry.options(o.retry);
+        this.codec = o.codec;
+        this.tracer = o.tracer;
+        this.failFast = o.failFast;
+        const schema = o.schema || {};
+        this.validateRequest = validation.createValidator(schema.request, 'request');
+        this.validateResponse = validation.createValidator(schema.response, 'response');
+        this.middleware = [];
+        const registry = metrics.resolve(o.metrics);
+        this.metrics = {
+            sent: registry.counter('rrb_client_requests_sent_total', 'Requests sent by clients.', ['queue']),
+            succeeded: registry.counter('rrb_client_requests_succeeded_total', 'Requests that have been answered successfully.', ['queue']),
+            failed: registry.counter('rrb_client_requests_failed_total', 'Requests that failed, including timeouts.', ['queue']),
+            timedOut: registry.counter('rrb_client_requests_timed_out_total', 'Requests that timed out.', ['queue'])
+        };
         this.logger = o.logger;
         this.levels = o.levels;
         this.redisOptions = o.redis;
@@ -36,12 +66,42 @@ module.exports = class Client {
 
         this.requestQueue = keys.requestQueue(queue);
         this.requestChannel = keys.requestChannel(queue, this.prefix);
+        this.responsePattern = keys.responsePattern(this.id, this.prefix);
+        this.pendingRequests = new Map(); // Maps request ids to handlers waiting for the response
         this.shuttingDown = false; // Keeps track of the shuttdown process, as running requests have to finish
         this.runningRequests = runningRequests(this.timeout);
+        this.clockOffset = 0; // Difference between the clock of the redis server and the local one
 
         this._log(this.levels.debug, 'constructor', `Initialized new client.`);
         this._log(this.levels.debug, 'constructor', `Request queue: '${this.requestQueue}'.`);
         this._log(this.levels.debug, 'constructor', `Request channel: '${this.requestChannel}'.`);
+        this._log(this.levels.debug, 'constructor', `Response pattern: '${this.responsePattern}'.`);
+    }
+
+    /**
+     * Adds a middleware that wraps requests. It gets called with a context and the
+     * method `next`, which calls the next middleware and finally sends the request.
+     * Every attempt of a retried request runs through the middleware on its own.
+     * The context has the following properties:
+     * 
+     *  - queue: The name of the queue.
+     *  - method: The method that has been called, either `request`, `requestAll`
+     *    or `requestStream`.
+     *  - attempt: The number of the attempt, starting with 1.
+     *  - data: The data of the request.
+     *  - options: The options of the request, like metadata. Never undefined.
+     *  - result: The result of the attempt, once `next` resolved. Streamed requests
+     *    have no result, as `next` resolves once the request has been queued.
+     * 
+     * Middleware may change the data and the options before calling `next`, which
+     * are used to compose the request, and the result afterwards. Errors of the
+     * attempt are thrown by `next`.
+     * @param {function} fn The middleware.
+     * @returns {Client} The client, so that calls can be chained.
+     */
+    use(fn) {
+        this.middleware.push(middleware.check(fn));
+        return this;
     }
 
     /**
@@ -54,7 +114,25 @@ module.exports = class Client {
     async connect() {
         this.shuttingDown = false;
         this._log(this.levels.info, 'connect', 'Connecting to redis.');
+
+        // One connection is used for sending requests, the other one receives the
+        // responses to all requests of this client, as a subscribed connection
+        // cannot be used for anything else.
         this.publisher = redis.createHandyClient(this.redisOptions);
+        this.subscriber = redis.createHandyClient(this.redisOptions);
+        this.subscriber.redis.on('pmessage_buffer', (_, __, message) => this._onResponse(message));
+        try {
+            await this.subscriber.psubscribe(this.responsePattern);
+            this.clockOffset = await clock.offset(this.publisher);
+        }
+        catch (error) {
+            this._log(this.levels.error, 'connect', `Cannot connect to redis: ${JSON.stringify(serializeError(error))}`);
+            this.publisher.redis.end(false);
+            this.subscriber.redis.end(false);
+            this.publisher = undefined;
+            this.subscriber = undefined;
+            throw error;
+        }
     }
 
     /**
@@ -74,20 +152,32 @@ module.exports = class Client {
             await this.runningRequests.await();
         }
 
+        // Both connections are closed, even if closing the first one fails
+        const publisherError = await this._close(this.publisher);
+        const subscriberError = await this._close(this.subscriber);
+        this.publisher = undefined;
+        this.subscriber = undefined;
+        if (publisherError || subscriberError)
+            throw publisherError || subscriberError;
+
+        this._log(this.levels.info, 'disconnect', 'Disconnecting complete.');
+
+    }
+
+    /**
+     * Internal method.
+     * Closes a connection to redis, forcing it if quitting fails.
+     * Resolves with the error of quitting, if any.
+     */
+    async _close(connection) {
         try {
-            await this.publisher.quit();
+            await connection.quit();
         }
         catch (error) {
             this._log(this.levels.warning, 'disconnect', 'Failed to close redis connection. Trying to force.');
-            this.publisher.redis.end(false);
-            throw error;
+            connection.redis.end(false);
+            return error;
         }
-        finally {
-            this.publisher = undefined;
-        }
-
-        this._log(this.levels.info, 'disconnect', 'Disconnecting complete.');
-
     }
 
     /**
@@ -99,40 +189,475 @@ module.exports = class Client {
      * If the worker rejects the request, the error will be
      * transmitted and this method call will be rejected with
      * the error provided by the worker.
+     * 
+     * Failed requests are retried according to the `retry` option
+     * of the client.
+     * 
+     * If the client has a schema, requests and responses that do not match
+     * it are rejected with a `ValidationError`.
      * @param {The data to send to the worker} data 
+     * @param options Options for this request. Available options are:
+     * 
+     *  - timeout: Overrides the timeout of the client for this request.
+     *  - priority: The priority of the request, either `high`, `normal` or `low`,
+     *    or their numeric values 1, 0 and -1. Workers take requests with higher
+     *    priority first. The default is `normal`.
+     *  - metadata: An object with serializable data that describes the request,
+     *    like a tenant or a trace id. It is passed to the handler of the worker.
+     *  - signal: An `AbortSignal` that cancels the request when aborted. The
+     *    request will be rejected with an `AbortError` right away. Queued requests
+     *    are removed, running ones are signaled to the handler of the worker.
+     *  - idempotencyKey: A string identifying the request across retries. Workers
+     *    return the stored result of a completed request with the same key instead
+     *    of handling it again.
+     *  - onProgress: A method that gets called with the progress reported by the
+     *    worker. Every progress notification restarts the timeout of the request.
+     *  - trace: The trace context to continue, like the `trace` of the context
+     *    of a handler. Passed to the `inject` method of the tracer.
+     */
+    async request(data, options) {
+        return this._measure(() => this._request(data, options));
+    }
+
+    /**
+     * Internal method.
+     * Sends a request to a worker, retrying it if necessary. Every attempt
+     * runs through the middleware.
+     */
+    async _request(data, options) {
+        options = this._requestOptions(options);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._intercept('request', attempt, data, options, async ctx => {
+                    const response = await this._attempt(this.validateRequest(ctx.data), this._requestOptions(ctx.options));
+                    if (!response.ok)
+                        throw response.error;
+                    return this.validateResponse(response.response);
+                });
+            }
+            catch (error) {
+                await this._retryOrThrow(attempt, error, options);
+            }
+        }
+    }
+
+    /**
+     * Sends a request to a worker and receives the response as stream of chunks.
+     * 
+     * Returns an async iterable that yields the chunks in the order the worker
+     * emitted them. It completes when the worker finished the response and
+     * throws if the worker rejects the request or the stream breaks.
+     * 
+     * The timeout applies to the time between two chunks instead of the whole
+     * response. Stopping the iteration early cancels the request. Iterators
+     * that are dropped without stopping the iteration keep the request until
+     * the worker finished it or the timeout expired, so that disconnecting
+     * does not wait forever. Streamed requests are not retried.
+     * @param {The data to send to the worker} data 
+     * @param options Options for this request. Available options are the same
+     *   as for `request`, except for `idempotencyKey`.
+     */
+    async *requestStream(data, options) {
+        const labels = { queue: this.queue };
+        this.metrics.sent.inc(labels);
+        try {
+            // Streams stopped by the consumer do not get here, so they are neither counted as succeeded nor failed
+            yield* this._requestStream(data, options);
+            this.metrics.succeeded.inc(labels);
+        }
+        catch (error) {
+            this._countFailure(labels, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Internal method.
+     * Sends a request to a worker and yields the chunks of the response.
+     */
+    async *_requestStream(data, options) {
+        options = this._requestOptions(options);
+        this._checkRequestable(options);
+
+        const requestId = `${this.id}:${uniqid()}`;
+        const signal = options.signal;
+        let queue, message; // Composed once the middleware called next
+
+        // Messages are buffered until the consumer asks for the next chunk
+        const received = [];
+        let wake = () => { };
+        const push = item => {
+            received.push(item);
+            wake();
+        };
+        const next = () => new Promise(resolve => {
+            if (received.length > 0)
+                return resolve(received.shift());
+            wake = () => {
+                wake = () => { };
+                resolve(received.shift());
+            };
+        });
+
+        // Releases everything that belongs to the request. Iterators that are abandoned
+        // without calling return() never reach finally, so the worker settling the
+        // stream, the timeout and the signal release it as well.
+        let released = false;
+        const release = async cancel => {
+            if (released)
+                return;
+
+            released = true;
+            clearTimeout(timeout);
+            this.pendingRequests.delete(requestId);
+            if (signal)
+                signal.removeEventListener('abort', onAbort);
+
+            // The worker does not need to continue if nobody reads the stream anymore
+            if (cancel && message) {
+                this._log(this.levels.info, 'stream', `Stream of request '${requestId}' stopped before it completed.`);
+                await this._cancel(requestId, queue, message);
+            }
+            this.runningRequests.finish(requestId);
+        };
+
+        // The timeout restarts with every chunk, as it only covers a silent worker
+        let timeout;
+        const restartTimeout = () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => {
+                push({ error: new TimeoutError() });
+                release(true);
+            }, options.timeout);
+        };
+        const onAbort = () => {
+            push({ error: new AbortError() });
+            release(true);
+        };
+        const onProgress = this._progressHandler(requestId, options);
+
+        this._log(this.levels.debug, 'stream', `Requesting stream from worker. Request id: ${requestId}`);
+        this.runningRequests.add(requestId, Infinity); // Released once the stream settled, timed out or got aborted
+        this.pendingRequests.set(requestId, response => {
+            if (response.type === 'chunk' || response.type === 'progress')
+                restartTimeout();
+            if (response.type === 'progress')
+                return onProgress(response.progress);
+            push({ response });
+
+            // Nothing else will be received once the worker finished the response
+            if (!response.ok || response.type === 'response' || response.type === 'end')
+                release(false);
+        });
+        if (signal)
+            signal.addEventListener('abort', onAbort);
+
+        try {
+            await this._intercept('requestStream', 1, data, options, async ctx => {
+                options = this._requestOptions(ctx.options);
+                const properties = { metadata: options.metadata, ttl: options.timeout, sent: this._now(), stream: true, trace: this.tracer.inject(options.trace) };
+                queue = keys.requestQueue(this.queue, options.priority);
+                message = messages.composeRequest(requestId, this.validateRequest(ctx.data), properties, this.codec);
+                restartTimeout();
+                await this._enqueue(queue, message);
+            });
+
+            for (let seq = 0; ;) {
+                const { response, error } = await next();
+                if (error)
+                    throw error;
+
+                if (!response.ok)
+                    throw response.error;
+
+                // Workers that do not support streams send the whole response at once
+                if (response.type === 'response') {
+                    yield response.response;
+                    return;
+                }
+
+                if (response.type === 'end') {
+                    if (response.seq !== seq)
+                        throw new Error(`Stream of request '${requestId}' ended after ${seq} of ${response.seq} chunks`);
+                    this._log(this.levels.debug, 'stream', `Stream of request '${requestId}' completed successfully.`);
+                    return;
+                }
+
+                if (response.seq !== seq)
+                    throw new Error(`Stream of request '${requestId}' lost chunk ${seq}`);
+                seq++;
+                yield response.chunk;
+            }
+        }
+        finally {
+            await release(true);
+        }
+    }
+
+    /**
+     * Sends a request to every worker that is listening on the queue and
+     * collects their responses.
+     * 
+     * Resolves with an array containing an object for every response, with
+     * the properties workerId, ok and either response or error, depending on
+     * weather the worker rejected the request or not. It resolves as soon as
+     * all workers responded or when the timeout is over.
+     * 
+     * Rejects with a `TimeoutError` if less than `minResponses` responses have
+     * been received when the timeout is over, or right away if less than
+     * `minResponses` workers received the request. The responses that
+     * have been received are attached to the error as property responses.
+     * @param {The data to send to the workers} data 
+     * @param options Options for this request. Available options are:
+     * 
+     *  - timeout: Overrides the timeout of the client for this request.
+     *  - minResponses: The minimum amount of responses. Defaults to `0`.
+     *  - metadata: An object with serializable data that describes the request.
+     *  - signal: An `AbortSignal` that cancels the request when aborted.
+     *  - trace: The trace context to continue.
      */
-    async request(data) {
+    async requestAll(data, options) {
+        return this._measure(() => this._intercept('requestAll', 1, data, options, ctx => this._requestAll(ctx.data, ctx.options)));
+    }
+
+    /**
+     * Internal method.
+     * Sends a request to all workers and collects their responses.
+     */
+    async _requestAll(data, options) {
+        options = this._requestOptions(options);
+        this._checkRequestable(options);
+        data = this.validateRequest(data);
+        const minResponses = options.minResponses || 0;
+        const requestId = `${this.id}:${uniqid()}`;
+        const properties = { metadata: options.metadata, ttl: options.timeout, sent: this._now(), trace: this.tracer.inject(options.trace) };
+        const message = messages.composeRequest(requestId, data, properties, this.codec);
+        const signal = options.signal;
+        const responses = [];
+
+        this.runningRequests.add(requestId, options.timeout);
+        try {
+            return await new Promise(async (resolve, reject) => {
+                let expected = Infinity; // Known once the broadcast has been published
+                const finish = () => {
+                    clearTimeout(timeout);
+                    this.pendingRequests.delete(requestId);
+                    if (signal)
+                        signal.removeEventListener('abort', onAbort);
+                };
+
+                // Resolves with the responses if there are enough, rejects with the given error otherwise
+                const complete = error => {
+                    finish();
+                    if (responses.length >= minResponses)
+                        return resolve(responses);
+
+                    this._log(this.levels.info, 'request_all', `Request '${requestId}' failed with ${responses.length} of ${minResponses} response(s).`);
+                    error.responses = responses;
+                    reject(error);
+                };
+
+                const timeout = setTimeout(() => complete(new TimeoutError()), options.timeout);
+
+                const onAbort = () => {
+                    this._log(this.levels.info, 'request_all', `Request '${requestId}' aborted.`);
+                    finish();
+                    reject(new AbortError());
+                    this.publisher.publish(this.requestChannel, messages.composeCancel(requestId))
+                        .catch(error => this._log(this.levels.warning, 'cancel', `Failed to cancel request '${requestId}': ${JSON.stringify(serializeError(error))}`));
+                };
+                if (signal)
+                    signal.addEventListener('abort', onAbort);
+
+                this.pendingRequests.set(requestId, response => {
+                    if (response.type !== 'broadcast')
+                        return;
+
+                    const { workerId, ok } = response;
+                    responses.push(ok ? { workerId, ok, response: response.response } : { workerId, ok, error: response.error });
+                    if (responses.length >= expected)
+                        complete(new Error(`Not enough workers responded to request '${requestId}'`));
+                });
+
+                try {
+                    // Every worker subscribed to the request channel will respond
+                    expected = await this.publisher.publish(this.requestChannel, messages.composeBroadcast(message));
+                }
+                catch (error) {
+                    this._log(this.levels.error, 'request_all', `Failed to publish request ${requestId}: ${error.message}`);
+                    finish();
+                    return reject(error);
+                }
+
+                this._log(this.levels.debug, 'request_all', `Request '${requestId}' reached ${expected} worker(s).`);
+
+                // Waiting is pointless if not enough workers received the request
+                if (expected < minResponses)
+                    return complete(new TimeoutError());
+
+                if (responses.length >= expected)
+                    complete(new Error(`Not enough workers responded to request '${requestId}'`));
+            });
+        }
+        finally {
+            this.runningRequests.finish(requestId);
+        }
+    }
+
+    /**
+     * Creates a proxy to call the methods of workers that have been created with
+     * a map of methods. Accessing properties builds the name of the method, calling
+     * it sends the request, so that `await api.users.get(42)` sends the request
+     * `{ method: 'users.get', args: [42] }`.
+     * 
+     * Calls of methods that do not exist are rejected with a `MethodNotFoundError`.
+     * The method `rpc.discover` resolves with the names of all available methods.
+     * @param options Options for all requests of the proxy. Available options
+     *   are the same as for `request`.
+     */
+    proxy(options) {
+        return rpc.createProxy(async (method, args) => {
+            try {
+                return await this.request(rpc.composeCall(method, args), options);
+            }
+            catch (error) {
+                // Errors are transmitted as plain objects, this one is well known
+                if (error && error.code === MethodNotFoundError.code)
+                    throw new MethodNotFoundError(error.method);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Internal method.
+     * Records the metrics of a request.
+     * 
+     * Resolves with the result of the request.
+     */
+    async _measure(send) {
+        const labels = { queue: this.queue };
+        this.metrics.sent.inc(labels);
+        try {
+            const result = await send();
+            this.metrics.succeeded.inc(labels);
+            return result;
+        }
+        catch (error) {
+            this._countFailure(labels, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Internal method.
+     * Counts a failed request.
+     */
+    _countFailure(labels, error) {
+        this.metrics.failed.inc(labels);
+        if (error instanceof TimeoutError)
+            this.metrics.timedOut.inc(labels);
+    }
+
+    /**
+     * Internal method.
+     * Runs an attempt of a request through the middleware.
+     * 
+     * Resolves with the result of the attempt, as modified by the middleware.
+     */
+    async _intercept(method, attempt, data, options, send) {
+        const ctx = { queue: this.queue, method, attempt, data, options: Object.assign({}, options), result: undefined };
+        await middleware.compose(this.middleware)(ctx, async () => {
+            ctx.result = await send(ctx);
+        });
+        return ctx.result;
+    }
+
+    /**
+     * Internal method.
+     * Applies the defaults of the client to the options of a request.
+     */
+    _requestOptions(options) {
+        options = Object.assign({}, options);
+        options.timeout = options.timeout || this.timeout;
+        options.metadata = options.metadata || {};
+        options.priority = priorities.resolve(options.priority);
+        return options;
+    }
+
+    /**
+     * Internal method.
+     * Throws if the client cannot send a request right now.
+     */
+    _checkRequestable(options) {
         if (!this.publisher) {
             this._log(this.levels.info, 'request', 'Tried requesting on a client that is not connected.');
-            return reject(new Error('Client not connected'));
+            throw new Error('Client not connected');
         }
 
         if (this.shuttingDown) {
             this._log(this.levels.info, 'request', 'Tried requesting on a client that is shutting down.');
-            return reject(new Error('Client currently shutting down'));
+            throw new Error('Client currently shutting down');
         }
 
-        const requestId = uniqid();
-        const requestClient = redis.createHandyClient(this.redisOptions);
-        this.runningRequests.add(requestId);
+        if (options.signal && options.signal.aborted) {
+            this._log(this.levels.info, 'request', 'Tried requesting with a signal that is already aborted.');
+            throw new AbortError();
+        }
+    }
+
+    /**
+     * Internal method.
+     * Returns the current time in the clock of the redis server, which workers
+     * use to tell how long a request waited.
+     */
+    _now() {
+        return Date.now() + this.clockOffset;
+    }
+
+    /**
+     * Internal method.
+     * Sends a single attempt of a request to a worker.
+     * 
+     * Resolves with the parsed response of the worker.
+     * Rejects with an error if no response has been received.
+     */
+    async _attempt(data, options) {
+        this._checkRequestable(options);
+
+        // Prefixing the request id with the client id makes the response match the response pattern
+        const requestId = `${this.id}:${uniqid()}`;
+        this.runningRequests.add(requestId, Infinity); // Progress may extend the timeout
         let response;
         try {
-            response = await this._getDataFromWorker(data, requestId, requestClient);
+            response = await this._getDataFromWorker(data, requestId, options);
         }
         catch (error) {
-            this._log(this.levels.error, 'request', `Request '${requestId}' failed with unknown error: ${JSON.stringify(serializeError(error))}.`);
+            if (!(error instanceof AbortError))
+                this._log(this.levels.error, 'request', `Request '${requestId}' failed with unknown error: ${JSON.stringify(serializeError(error))}.`);
             throw error;
         }
         finally {
             this.runningRequests.finish(requestId);
-            requestClient.quit();
         }
 
         this._log(this.levels.debug, 'request', `Request '${requestId}' completed successfully.`);
-        if (response.ok)
-            return response.response;
-        else
-            throw response.error;
+        return response;
+    }
+
+    /**
+     * Internal method.
+     * Waits before the next attempt of a failed request if the error is retryable
+     * and there are attempts left. Otherwise rejects with the error.
+     */
+    async _retryOrThrow(attempt, error, options) {
+        const aborted = options.signal && options.signal.aborted;
+        if (aborted || attempt >= this.retry.attempts || !this.retry.retryable(error))
+            throw error;
+
+        const delay = retry.delay(attempt, this.retry);
+        this._log(this.levels.info, 'request', `Attempt ${attempt} of ${this.retry.attempts} failed. Retrying in ${delay} ms.`);
+        await retry.wait(delay, options.signal);
     }
 
     /**
@@ -142,53 +667,188 @@ module.exports = class Client {
      * Resolves with the result if it worked.
      * Rejects with an error otherwise.
      * @param {object} data The data to send to the worker
+     * @param {object} options The options of the request
      */
-    async _getDataFromWorker(data, requestId, requestClient) {
+    async _getDataFromWorker(data, requestId, options) {
+        // Composing may throw, like for data that cannot be serialized, which rejects the request
+        const properties = { metadata: options.metadata, ttl: options.timeout, sent: this._now(), idempotencyKey: options.idempotencyKey, trace: this.tracer.inject(options.trace) };
+        const message = messages.composeRequest(requestId, data, properties, this.codec);
+        const queue = keys.requestQueue(this.queue, options.priority);
+        const signal = options.signal;
+
         return new Promise(async (resolve, reject) => {
             this._log(this.levels.debug, 'get_data', `Trying to get data from woker. Request id: ${requestId}`);
 
-            // Set timer for timeout
-            const timeout = setTimeout(() => {
-                this._log(this.levels.info, 'get_data', `Request '${requestId}' timed out.`);
-                reject(new Error("Request timed out"));
-            }, this.timeout);
+            // Cleans up everything that belongs to the request
+            const finish = () => {
+                clearTimeout(timeout);
+                this.pendingRequests.delete(requestId);
+                if (signal)
+                    signal.removeEventListener('abort', onAbort);
+            };
 
-            // Register the listener
-            requestClient.redis.once('message', (_, message) => {
-                this._log(this.levels.debug, 'get_data', 'Got response from worker.');
+            // Set timer for timeout, which restarts whenever the worker reports progress
+            let timeout;
+            const restartTimeout = () => {
                 clearTimeout(timeout);
-                try {
-                    resolve(messages.parseResponse(message));
-                }
-                catch (error) {
-                    this._log(this.levels.warning, 'get_data', `Failed to parse worker response: ${message}`);
-                    reject(error);
+                timeout = setTimeout(() => {
+                    this._log(this.levels.info, 'get_data', `Request '${requestId}' timed out.`);
+                    finish();
+                    reject(new TimeoutError());
+                }, options.timeout);
+            };
+            restartTimeout();
+            const onProgress = this._progressHandler(requestId, options);
+
+            // Cancel the request when the signal gets aborted
+            const onAbort = () => {
+                this._log(this.levels.info, 'get_data', `Request '${requestId}' aborted.`);
+                finish();
+                reject(new AbortError());
+                this._cancel(requestId, queue, message);
+            };
+            if (signal)
+                signal.addEventListener('abort', onAbort);
+
+            // Register the handler for the response
+            this.pendingRequests.set(requestId, response => {
+                if (response.type === 'progress') {
+                    restartTimeout();
+                    return onProgress(response.progress);
                 }
+
+                this._log(this.levels.debug, 'get_data', 'Got response from worker.');
+                finish();
+                resolve(response);
             });
 
             // Push the request to the request queue and notify worker
             try {
-                await requestClient.subscribe(keys.responseChannel(requestId, this.prefix));
-                await this.publisher.rpush(this.requestQueue, messages.composeRequest(requestId, data));
-                await this.notifyWorkers(requestId, requestClient);
+                await this._enqueue(queue, message);
             }
             catch (error) {
-                this._log(this.levels.error, 'get_data', `Failed to publish request ${requestId}: ${error.message}`);
-                clearTimeout(timeout);
+                if (!(error instanceof NoWorkersAvailableError))
+                    this._log(this.levels.error, 'get_data', `Failed to publish request ${requestId}: ${error.message}`);
+                finish();
                 return reject(error);
             }
         });
     }
 
+    /**
+     * Internal method.
+     * Creates the method that passes progress notifications of a request to the
+     * `onProgress` option. Errors of the callback are logged, as they must not
+     * break the request.
+     */
+    _progressHandler(requestId, options) {
+        return progress => {
+            this._log(this.levels.debug, 'progress', `Got progress of request '${requestId}'.`);
+            if (!options.onProgress)
+                return;
+
+            try {
+                options.onProgress(progress);
+            }
+            catch (error) {
+                this._log(this.levels.warning, 'progress', `Progress handler of request '${requestId}' failed: ${JSON.stringify(serializeError(error))}`);
+            }
+        };
+    }
+
+    /**
+     * Internal method.
+     * Cancels a request. If it is still queued, it gets removed from the queue.
+     * Otherwise workers get notified, so that a running handler can be aborted.
+     * @param {string} requestId The id of the request to cancel
+     * @param {string} queue The queue the request has been pushed to
+     * @param {string} message The request message as it has been queued
+     */
+    async _cancel(requestId, queue, message) {
+        try {
+            const removed = await this.publisher.lrem(queue, 1, message);
+            if (removed > 0)
+                return this._log(this.levels.debug, 'cancel', `Removed request '${requestId}' from the queue.`);
+
+            await this.publisher.publish(this.requestChannel, messages.composeCancel(requestId));
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'cancel', `Failed to cancel request '${requestId}': ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Gets called for every response to a request of this client and passes
+     * it to the handler of the corresponding request.
+     */
+    _onResponse(message) {
+        let response;
+        try {
+            response = messages.parseResponse(message, this.codec);
+        }
+        catch (error) {
+            return this._log(this.levels.warning, 'response', `Failed to parse worker response: ${message}`);
+        }
+
+        const handler = this.pendingRequests.get(response.id);
+        if (!handler)
+            return this._log(this.levels.info, 'response', `Got response for unknown request '${response.id}'. It probably timed out.`);
+
+        handler(response);
+    }
+
+    /**
+     * Internal method.
+     * Pushes a request to a request queue and notifies the workers.
+     * 
+     * Rejects with a `NoWorkersAvailableError` if the `failFast` option is set
+     * and no worker received the notification. The request is removed from the
+     * queue in this case, unless a worker already took it.
+     */
+    async _enqueue(queue, message) {
+        await this.publisher.rpush(queue, message);
+        const received = await this.notifyWorkers();
+        if (received > 0 || !this.failFast)
+            return;
+
+        const removed = await this.publisher.lrem(queue, 1, message);
+        if (removed > 0)
+            throw new NoWorkersAvailableError(this.queue);
+    }
+
+    /**
+     * Notifies the workers that there is a new request in the queue.
+     * 
+     * Resolves with the amount of workers that received the notification.
+     */
     async notifyWorkers() {
         const received = await this.publisher.publish(this.requestChannel, '');
 
         // All good, a worker received the request
         if (received > 0)
-            return;
+            return received;
 
         // It's highly unlikely that a worker will be started up so we let the request fail
-        this._log(this.levels.notice, 'notify', `There is no active worker. Waiting until timeout`);
+        if (this.failFast)
+            this._log(this.levels.notice, 'notify', `There is no active worker. Failing fast.`);
+        else
+            this._log(this.levels.notice, 'notify', `There is no active worker. Waiting until timeout`);
+        return received;
+    }
+
+    /**
+     * Gets the workers of the queue that are alive, as they recently sent a heartbeat.
+     * 
+     * Resolves with an array of objects with the properties id, queue, host, pid,
+     * startedAt, heartbeatAt, status, which is either `busy` or `idle`, and handled,
+     * the amount of requests the worker has handled.
+     * Rejects with an error if the client is not connected.
+     */
+    async workers() {
+        if (!this.publisher)
+            throw new Error('Client not connected');
+        return workerRegistry.workers(this.publisher, this.queue);
     }
 
     _log(level, scope, message) {
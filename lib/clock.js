@@ -0,0 +1,17 @@
+/**
+ * Clients and workers may run on hosts whose clocks differ. To measure how
+ * long a request waited in the queue, both use the clock of the redis server.
+ */
+
+/**
+ * Resolves with the difference in ms between the clock of the redis server
+ * and the local clock. Adding it to `Date.now()` gives the time of the redis
+ * server, off by half of the round trip time at most.
+ * @param redis The handy redis client to ask for the time.
+ */
+module.exports.offset = async function (redis) {
+    const before = Date.now();
+    const [seconds, microseconds] = await redis.time();
+    const after = Date.now();
+    return Number(seconds) * 1000 + Math.round(Number(microseconds) / 1000) - Math.round((before + after) / 2);
+}
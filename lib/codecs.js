@@ -0,0 +1,92 @@
+const v8 = require('v8');
+
+/**
+ * Codecs turn the messages that are send via redis into strings or buffers and back.
+ * 
+ * A codec is an object with the following properties:
+ * 
+ *  - name: A unique name that identifies the codec in encoded messages.
+ *  - encode: A method that takes a value and returns a string or a buffer.
+ *  - decode: A method that takes a buffer and returns the value.
+ */
+
+/**
+ * Encodes messages as JSON. This is the default codec. Messages encoded with it
+ * are plain JSON strings, so that they are compatible with older versions.
+ */
+const json = {
+    name: 'json',
+    encode: value => JSON.stringify(value),
+    decode: data => JSON.parse(data.toString())
+};
+
+/**
+ * Encodes messages using the serialization of V8, which is a binary format that
+ * supports Dates, Buffers, BigInts, Maps, Sets and typed arrays.
+ */
+const binary = {
+    name: 'v8',
+    encode: value => v8.serialize(value),
+    decode: data => v8.deserialize(data)
+};
+
+// Messages of all other codecs than json are framed with a header of the form
+// [marker][version][name length][name], followed by the encoded message.
+const marker = 0;
+const version = 1;
+
+const builtIn = [json, binary];
+
+module.exports.json = json;
+module.exports.v8 = binary;
+
+/**
+ * Encodes a value using the provided codec.
+ * @param {any} value The value to encode.
+ * @param {object} codec The codec to use. Defaults to the json codec.
+ * @returns {string|Buffer} The encoded message.
+ */
+module.exports.encode = function (value, codec) {
+    if (!codec || codec.name === json.name)
+        return json.encode(value);
+
+    const name = Buffer.from(codec.name);
+    const payload = codec.encode(value);
+    return Buffer.concat([
+        Buffer.from([marker, version, name.length]),
+        name,
+        Buffer.isBuffer(payload) ? payload : Buffer.from(payload)
+    ]);
+}
+
+/**
+ * Decodes a message, detecting the codec it has been encoded with. The provided
+ * codec is used for messages of custom codecs, the built in codecs are always known.
+ * @param {string|Buffer} data The encoded message.
+ * @param {object} codec The configured codec.
+ * @returns {object} An object containing the decoded value and the codec that has been used.
+ */
+module.exports.decode = function (data, codec) {
+    if (!Buffer.isBuffer(data) || data.length === 0 || data[0] !== marker)
+        return { value: json.decode(data), codec: json };
+
+    if (data[1] !== version)
+        throw new Error(`Unsupported message version ${data[1]}`);
+
+    const end = 3 + data[2];
+    const name = data.slice(3, end).toString();
+    const used = codec && codec.name === name ? codec : builtIn.find(c => c.name === name);
+    if (!used)
+        throw new Error(`Unknown codec '${name}'`);
+
+    return { value: used.decode(data.slice(end)), codec: used };
+}
+
+/**
+ * Checks weather a message has been encoded with a framed codec, which means
+ * that it may not be representable as a string.
+ * @param {string|Buffer} data The encoded message.
+ */
+module.exports.isFramed = function (data) {
+    return Buffer.isBuffer(data) && data.length > 0 && data[0] === marker;
+}
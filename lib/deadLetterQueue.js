@@ -0,0 +1,157 @@
+const redis = require("handy-redis");
+const uniqid = require('uniqid');
+
+const keys = require('./keys');
+const messages = require('./messages');
+const defaults = require('./defaults');
+const scripts = require('./scripts');
+
+module.exports = class DeadLetterQueue {
+
+    /**
+     * Gives access to the dead letter queue of a queue. Workers with the `deadLetter`
+     * option enabled store requests there that could not be parsed or handled.
+     * 
+     * @param queue The queue whose dead letter queue to access.
+     * @param options Advanced options to configure the dead letter queue. Available options are:
+     * 
+     *  - redis
+     *  - logger
+     *  - levels
+     *  - codec
+     *  
+     *  See `defaults` for more details on these options.
+     */
+    constructor(queue, options) {
+        this.queue = queue;
+        this.id = uniqid();
+
+        const o = defaults.apply(options);
+        this.logger = o.logger;
+        this.levels = o.levels;
+        this.codec = o.codec;
+        this.redisOptions = o.redis;
+        this.prefix = this.redisOptions ? this.redisOptions.prefix || '' : '';
+
+        this.deadLetterQueue = keys.deadLetterQueue(queue);
+        this.requestQueue = keys.requestQueue(queue);
+        this.requestChannel = keys.requestChannel(queue, this.prefix);
+
+        this._log(this.levels.debug, 'constructor', `Initialized new dead letter queue.`);
+        this._log(this.levels.debug, 'constructor', `Dead letter queue: '${this.deadLetterQueue}'.`);
+    }
+
+    /**
+     * Connects to the redis. This needs to be called before accessing the entries.
+     * You should consider calling disconnect when done to free up recources.
+     */
+    async connect() {
+        this._log(this.levels.info, 'connect', 'Connecting to redis.');
+        this.client = redis.createHandyClient(this.redisOptions);
+    }
+
+    /**
+     * Disconnects from redis.
+     */
+    async disconnect() {
+        if (!this.client)
+            return;
+
+        this._log(this.levels.info, 'disconnect', 'Disconnecting from redis.');
+        try {
+            await this.client.quit();
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'disconnect', 'Failed to close redis connection. Trying to force.');
+            this.client.redis.end(false);
+            throw error;
+        }
+        finally {
+            this.client = undefined;
+        }
+    }
+
+    /**
+     * Resolves with the amount of entries in the dead letter queue.
+     */
+    async length() {
+        this._checkConnected();
+        return this.client.llen(this.deadLetterQueue);
+    }
+
+    /**
+     * Resolves with the entries of the dead letter queue, oldest first, without removing them.
+     * Every entry has the properties id, message, error, workerId and timestamp.
+     * @param {number} start The index of the first entry to return. Defaults to `0`.
+     * @param {number} count The maximum amount of entries to return. Defaults to `100`.
+     */
+    async list(start, count) {
+        this._checkConnected();
+        start = start || 0;
+        count = count || 100;
+        const entries = await this.client.lrange(this.deadLetterQueue, start, start + count - 1);
+        return entries.map(messages.parseDeadLetter);
+    }
+
+    /**
+     * Moves entries back into the request queue, so that workers will handle them again.
+     * Requeued requests have normal priority and no deadline, as the client that sent
+     * them does not wait for the response anymore.
+     * 
+     * Resolves with the amount of requeued entries.
+     * @param {string[]} ids The ids of the entries to requeue. All entries are requeued if omitted.
+     */
+    async requeue(ids) {
+        let requeued = 0;
+        for (const raw of await this._select(ids)) {
+            // Only requeue entries that have not been removed in the meantime
+            const request = messages.composeRequeue(messages.parseDeadLetter(raw).message, this.codec);
+            requeued += await this.client.eval(scripts.requeue, 2, [this.deadLetterQueue, this.requestQueue], [raw, request]);
+        }
+
+        if (requeued > 0)
+            await this.client.publish(this.requestChannel, '');
+
+        this._log(this.levels.info, 'requeue', `Requeued ${requeued} entries.`);
+        return requeued;
+    }
+
+    /**
+     * Removes entries from the dead letter queue.
+     * 
+     * Resolves with the amount of removed entries.
+     * @param {string[]} ids The ids of the entries to remove. All entries are removed if omitted.
+     */
+    async purge(ids) {
+        let purged = 0;
+        for (const raw of await this._select(ids))
+            purged += await this.client.lrem(this.deadLetterQueue, 1, raw);
+
+        this._log(this.levels.info, 'purge', `Purged ${purged} entries.`);
+        return purged;
+    }
+
+    /**
+     * Internal method.
+     * Resolves with the raw entries matching the given ids, or all entries if omitted.
+     */
+    async _select(ids) {
+        this._checkConnected();
+        const entries = await this.client.lrange(this.deadLetterQueue, 0, -1);
+        if (!ids)
+            return entries;
+
+        return entries.filter(raw => ids.includes(messages.parseDeadLetter(raw).id));
+    }
+
+    _checkConnected() {
+        if (!this.client) {
+            this._log(this.levels.info, 'access', 'Tried accessing a dead letter queue that is not connected.');
+            throw new Error('Dead letter queue not connected');
+        }
+    }
+
+    _log(level, scope, message) {
+        this.logger(level, message, 'dead_letter_queue', this.id, scope);
+    }
+}
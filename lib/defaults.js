@@ -1,11 +1,30 @@
 const logging = require('./logging');
+const codecs = require('./codecs');
+const metrics = require('./metrics');
+const tracing = require('./tracing');
 
 let defaults = {
     redis: { prefix: 'rrb:' },
     timeout: 1000,
     logger: logging.defaulLogger,
     levels: logging.levels,
-    minimumRecipients: 0
+    minimumRecipients: 0,
+    concurrency: 1,
+    reliable: false,
+    leaseTimeout: 10000,
+    retry: { attempts: 1 },
+    idempotencyTtl: 3600000,
+    deadLetter: false,
+    codec: codecs.json,
+    schema: {},
+    metrics: metrics.registry,
+    tracer: tracing.tracer,
+    heartbeatInterval: 5000,
+    failFast: false,
+    pattern: false,
+    durable: false,
+    reconnect: {},
+    onStateChange: undefined
 };
 
 /**
@@ -29,6 +48,9 @@ let defaults = {
  * 
  * **timeout**: A timeout in ms after which a request fails. For the client that means
  *   when it will stop waiting for a response from a worker and rejects the request.
+ *   Progress reported by the worker restarts the timeout, so it only needs to cover
+ *   the time between two progress notifications of long running requests.
+ *   For the publisher it is the time `publishAndCollect` waits for acknowledgements.
  *   
  *   - The default value is `1000` ms.
  *   - _Example:_ `{ timeout: 5000 } // five seconds`
@@ -49,11 +71,164 @@ let defaults = {
  *   - _Example:_ `{ levels: { error: 'e', warning: 'w', notice: 'n', info: 'i', debug: 'd' }}`
  * 
  * **minimumRecipients**: Sets the minimum amount of recipients that should receive 
- *   a published message. Only effects the publisher.
+ *   a published message. For `publishAndCollect`, it is the minimum amount of
+ *   subscribers that should handle the message successfully. Only effects the publisher.
  * 
  *   - The default value is `0`.
  *   - _Example:_ `{ minimumRecipients: 2 }` // At least two subscribers should listen.
  * 
+ * **concurrency**: Sets the maximum amount of requests a worker handles at the same
+ *   time. Only effects the worker.
+ * 
+ *   - The default value is `1`.
+ *   - _Example:_ `{ concurrency: 5 }` // Handle up to five requests in parallel.
+ * 
+ * **reliable**: Enables at-least-once delivery for workers. Requests are moved
+ *   into a processing list of the worker while being handled and removed once the
+ *   response has been published. Requests of workers that died are requeued by
+ *   the remaining workers. Only effects the worker.
+ * 
+ *   - The default value is `false`.
+ *   - _Example:_ `{ reliable: true }`
+ * 
+ * **leaseTimeout**: The time in ms after which a worker in reliable mode is considered
+ *   dead when it stops renewing its lease. Its requests are requeued afterwards.
+ *   Only effects the worker.
+ * 
+ *   - The default value is `10000` ms.
+ *   - _Example:_ `{ leaseTimeout: 30000 }` // Thirty seconds.
+ * 
+ * **retry**: Configures how failed requests are retried by the client. An object
+ *   with the following properties, all of which are optional:
+ * 
+ *   - attempts: The maximum amount of attempts, including the first one. Defaults to `1`.
+ *   - delay: The delay in ms before the first retry. Defaults to `100`.
+ *   - factor: The factor the delay grows with every retry. Defaults to `2`.
+ *   - maxDelay: The maximum delay in ms between two attempts. Defaults to `5000`.
+ *   - jitter: Weather a random delay between zero and the calculated one is used. Defaults to `true`.
+ *   - retryable: A method that decides weather an error should be retried. By default
+ *     timeouts, connection errors and worker errors with `transient: true` are retried.
+ * 
+ *   - The default value is `{ attempts: 1 }`, which disables retries.
+ *   - _Example:_ `{ retry: { attempts: 3, delay: 200 } }`
+ * 
+ * **idempotencyTtl**: The time in ms a worker stores the response to a request with
+ *   an idempotency key. Only effects the worker.
+ * 
+ *   - The default value is `3600000` ms.
+ *   - _Example:_ `{ idempotencyTtl: 60000 }` // One minute.
+ * 
+ * **deadLetter**: Enables the dead letter queue of the worker. Requests that cannot be
+ *   parsed or whose handler fails are stored there together with the error, unless the
+ *   error is marked as `transient`, as clients may retry these. Use the `DeadLetterQueue`
+ *   class to inspect, requeue or purge them. Only effects the worker.
+ * 
+ *   - The default value is `false`.
+ *   - _Example:_ `{ deadLetter: true }`
+ * 
+ * **codec**: The codec used to serialize messages. Use `Codecs.json` or `Codecs.v8`,
+ *   a binary codec that supports Dates, Buffers, BigInts, Maps and Sets, or provide
+ *   a custom codec, which is an object with a unique `name` and the methods `encode`
+ *   and `decode`. Messages of any built in codec can always be parsed and workers
+ *   respond using the codec of the request, so that components can be migrated one
+ *   by one.
+ * 
+ *   - The default value is `Codecs.json`.
+ *   - _Example:_ `{ codec: Codecs.v8 }`
+ * 
+ * **schema**: Schemas for the data of requests and responses, with the properties
+ *   `request` and `response`, both of which are optional. Supported are zod schemas,
+ *   joi schemas and validation methods like the ones compiled by ajv. Workers reject
+ *   invalid requests with a `ValidationError` before calling the handler, and invalid
+ *   responses of the handler as well. Clients validate requests before sending them
+ *   and responses when receiving them. Only effects workers and clients.
+ * 
+ *   - The default value is `{}`, which disables validation.
+ *   - _Example:_ `{ schema: { request: z.object({ id: z.number() }) } }`
+ * 
+ * **metrics**: The registry the component records its metrics into, like the amount
+ *   of requests or the duration of handlers. Use `Metrics.registry.metrics()` to render
+ *   them in the text format of Prometheus. Set to `false` to disable metrics, so that
+ *   nothing is recorded.
+ * 
+ *   - The default value is `Metrics.registry`.
+ *   - _Example:_ `{ metrics: new Metrics.Registry() }`
+ * 
+ * **tracer**: Propagates the context of distributed traces. Clients and publishers call
+ *   its `inject` method with the `trace` option of the request, which returns the
+ *   `traceparent` and `tracestate` that are added to the message. Workers and subscribers
+ *   call its `extract` method with them and pass the result to the handler as `trace`.
+ * 
+ *   - The default value is `Tracing.tracer`, which creates W3C Trace Context ids.
+ *   - _Example:_ `{ tracer: { inject: () => carrierOfActiveSpan(), extract: c => startSpan(c) } }`
+ * 
+ * **heartbeatInterval**: The interval in ms in which workers send heartbeats to register
+ *   themselves as alive, together with their host, pid, status and the amount of handled
+ *   requests. Workers that miss three heartbeats are considered dead. Use `workers` of the
+ *   client to get the live workers of a queue. Only effects the worker.
+ * 
+ *   - The default value is `5000` ms.
+ *   - _Example:_ `{ heartbeatInterval: 1000 }`
+ * 
+ * **failFast**: Weather requests are rejected with a `NoWorkersAvailableError` right away
+ *   if no worker is listening on the queue, instead of waiting for the timeout. Only
+ *   effects the client.
+ * 
+ *   - The default value is `false`.
+ *   - _Example:_ `{ failFast: true }`
+ * 
+ * **pattern**: Weather the channel name of a subscriber is a glob-style pattern, like
+ *   `orders.*.created`, so that it receives messages of all matching channels. The
+ *   handler receives the name of the channel a message has been published to as
+ *   `channel`. Only effects the subscriber.
+ * 
+ *   - The default value is `false`.
+ *   - _Example:_ `{ pattern: true }`
+ * 
+ * **durable**: Enables durable pub / sub, where publishers add messages to a redis stream
+ *   and subscribers read it as members of a consumer group, so that they do not miss
+ *   messages while they are down. Set to `true` or an object with the following
+ *   properties, all of which are optional:
+ * 
+ *   - group: The consumer group of the subscriber. Every group receives every message
+ *     once, subscribers of the same group share them. Defaults to `'default'`.
+ *   - consumer: The name of the subscriber within the group. Subscribers restarted with
+ *     the same name handle the messages they did not acknowledge first. Defaults to the
+ *     id of the subscriber.
+ *   - maxLength: The approximate amount of messages publishers keep in the stream. Defaults to `10000`.
+ *   - claimTimeout: The time in ms after which subscribers claim messages another member of
+ *     the group did not acknowledge, like when it died. Defaults to `30000`.
+ *   - maxDeliveries: The amount of times a message is delivered before subscribers give up
+ *     on it and acknowledge it without handling it again. Defaults to `5`.
+ *   - count: The maximum amount of messages a subscriber reads at once. Defaults to `10`.
+ * 
+ *   - The default value is `false`.
+ *   - _Example:_ `{ durable: { group: 'audit' } }`
+ * 
+ * **reconnect**: Configures how workers and subscribers reconnect to redis when a connection
+ *   has been lost. An object with the following properties, all of which are optional:
+ * 
+ *   - attempts: The maximum amount of attempts to reconnect. Defaults to `Infinity`.
+ *   - delay: The delay in ms before the first attempt. Defaults to `100`.
+ *   - factor: The factor the delay grows with every attempt. Defaults to `2`.
+ *   - maxDelay: The maximum delay in ms between two attempts. Defaults to `5000`.
+ *   - jitter: Weather a random delay between zero and the calculated one is used. Defaults to `true`.
+ * 
+ *   After reconnecting, workers and subscribers subscribe to their channels again and
+ *   workers check the queue for requests that have been queued in the meantime. A
+ *   `retry_strategy` in the `redis` option takes precedence.
+ * 
+ *   - The default value is `{}`.
+ *   - _Example:_ `{ reconnect: { attempts: 10, maxDelay: 10000 } }`
+ * 
+ * **onStateChange**: A method that is called with the new and the previous state when the
+ *   connection state of a worker or subscriber changes. The state is also available as
+ *   the `state` property and is one of `stopped`, `connecting`, `connected`, `reconnecting`
+ *   and `failed`, which means that reconnecting gave up.
+ * 
+ *   - The default value is `undefined`.
+ *   - _Example:_ `{ onStateChange: (state, previous) => health.set(state === 'connected') }`
+ * 
  */
 module.exports.setDefaults = function (options) {
     Object.assign(defaults, options);
@@ -0,0 +1,50 @@
+/**
+ * Durable pub / sub stores messages in a redis stream instead of publishing
+ * them on a channel. Subscribers read the stream as members of a consumer
+ * group, so that they do not miss messages while they are down.
+ */
+
+const defaultOptions = {
+    group: 'default',
+    consumer: undefined,
+    maxLength: 10000,
+    claimTimeout: 30000,
+    maxDeliveries: 5,
+    count: 10
+};
+
+/**
+ * Applies the provided durable options to the default durable options.
+ * Returns `undefined` if durable pub / sub is disabled.
+ * @param {boolean|object} options The durable options or `true` to use the defaults.
+ */
+module.exports.options = function (options) {
+    if (!options)
+        return undefined;
+
+    return Object.assign({}, defaultOptions, options === true ? {} : options);
+}
+
+/**
+ * Returns the value of a field of a stream entry, which redis returns as a
+ * flat list of names and values.
+ * @param {Array} fields The fields of the entry.
+ * @param {string} name The name of the field.
+ */
+module.exports.field = function (fields, name) {
+    for (let i = 0; fields && i < fields.length - 1; i += 2) {
+        if (fields[i].toString() === name)
+            return fields[i + 1];
+    }
+    return undefined;
+}
+
+/**
+ * Returns the smallest id of a stream entry that is greater than the given one,
+ * as ranges of redis 5 cannot exclude their start.
+ * @param {string} id The id of a stream entry, like `1526985054069-0`.
+ */
+module.exports.nextId = function (id) {
+    const [time, sequence] = id.split('-');
+    return `${time}-${Number(sequence) + 1}`;
+}
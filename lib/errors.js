@@ -0,0 +1,72 @@
+/**
+ * Gets thrown when a request has been aborted using an `AbortSignal`.
+ */
+class AbortError extends Error {
+    constructor(message) {
+        super(message || 'Request aborted');
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Gets thrown when a request did not receive a response in time.
+ */
+class TimeoutError extends Error {
+    constructor(message) {
+        super(message || 'Request timed out');
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Gets thrown by workers with a map of methods when a request calls a method
+ * that does not exist. The property `code` is always `METHOD_NOT_FOUND`.
+ */
+class MethodNotFoundError extends Error {
+    constructor(method) {
+        super(`Method not found: ${method}`);
+        this.name = 'MethodNotFoundError';
+        this.code = MethodNotFoundError.code;
+        this.method = method;
+    }
+}
+MethodNotFoundError.code = 'METHOD_NOT_FOUND';
+
+/**
+ * Gets thrown when a request or a response does not match its schema.
+ * The property `target` is either `request` or `response` and `details`
+ * is an array of objects with the properties `path` and `message`.
+ * The property `code` is always `VALIDATION_FAILED`.
+ */
+class ValidationError extends Error {
+    constructor(target, details) {
+        super(`Invalid ${target}: ${details.map(d => d.path ? `${d.path}: ${d.message}` : d.message).join(', ')}`);
+        this.name = 'ValidationError';
+        this.code = ValidationError.code;
+        this.target = target;
+        this.details = details;
+    }
+}
+ValidationError.code = 'VALIDATION_FAILED';
+
+/**
+ * Gets thrown by clients with the `failFast` option when no worker is listening
+ * on the queue. The property `code` is always `NO_WORKERS_AVAILABLE`. As workers
+ * may be started later on, the error is marked as transient, so it gets retried.
+ */
+class NoWorkersAvailableError extends Error {
+    constructor(queue) {
+        super(`No workers available for queue '${queue}'`);
+        this.name = 'NoWorkersAvailableError';
+        this.code = NoWorkersAvailableError.code;
+        this.queue = queue;
+        this.transient = true;
+    }
+}
+NoWorkersAvailableError.code = 'NO_WORKERS_AVAILABLE';
+
+module.exports.AbortError = AbortError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.MethodNotFoundError = MethodNotFoundError;
+module.exports.ValidationError = ValidationError;
+module.exports.NoWorkersAvailableError = NoWorkersAvailableError;
@@ -20,14 +20,31 @@ module.exports.responseChannel = function (requestId, prefix) {
     return `${prefix}r:${requestId}`;
 };
 
+/**
+ * Generates the pattern matching all response channels of a client.
+ * 
+ * Request ids of a client are prefixed with its id, so that a single pattern
+ * subscription receives the responses to all of its requests.
+ * @param {string} clientId The id of the client.
+ */
+module.exports.responsePattern = function (clientId, prefix) {
+    if (!prefix) prefix = '';
+    return `${prefix}r:${clientId}:*`;
+};
+
 /** 
  * Generates the name of a request queue.
  * 
  * These lists are used to queue requests when no worker is immedeately available.
+ * Every priority has its own list. Requests with normal priority use the plain
+ * queue name, so that workers and clients not knowing about priorities are compatible.
  * @param queueName The name of the queue.
+ * @param priority The name of the priority. Defaults to `normal`.
  */
-module.exports.requestQueue = function (queueName) {
-    return `q:${queueName}`;
+module.exports.requestQueue = function (queueName, priority) {
+    if (!priority || priority === 'normal')
+        return `q:${queueName}`;
+    return `q:${queueName}:${priority}`;
 }
 
 /**
@@ -40,3 +57,123 @@ module.exports.pubSubChannel = function (channelName, prefix) {
     if (!prefix) prefix = '';
     return `${prefix}c:${channelName}`;
 }
+
+/**
+ * Generates the name of an acknowledgement channel.
+ * 
+ * These channels are used by subscribers to report the outcome of handling
+ * a message, if the publisher collects them.
+ * @param {string} messageId The id of the message to acknowledge.
+ */
+module.exports.ackChannel = function (messageId, prefix) {
+    if (!prefix) prefix = '';
+    return `${prefix}a:${messageId}`;
+}
+
+/**
+ * Generates the pattern matching all acknowledgement channels of a publisher.
+ * 
+ * Ids of messages whose acknowledgements are collected are prefixed with the
+ * id of the publisher, so that a single pattern subscription receives them all.
+ * @param {string} publisherId The id of the publisher.
+ */
+module.exports.ackPattern = function (publisherId, prefix) {
+    if (!prefix) prefix = '';
+    return `${prefix}a:${publisherId}:*`;
+}
+
+/**
+ * Generates the name of a pub / sub stream.
+ * 
+ * These streams store the messages of durable publishers, so that subscribers
+ * that are down do not miss them.
+ * @param channelName The name of the channel.
+ */
+module.exports.pubSubStream = function (channelName) {
+    return `s:${channelName}`;
+}
+
+/**
+ * Generates the name of a processing list.
+ * 
+ * These lists hold the requests a worker is currently handling when running
+ * in reliable mode, so that they can be recovered if the worker dies. Like
+ * request queues, every priority has its own list, so that recovered requests
+ * keep their priority.
+ * @param queueName The name of the queue.
+ * @param workerId The id of the worker owning the list.
+ * @param priority The name of the priority. Defaults to `normal`.
+ */
+module.exports.processingList = function (queueName, workerId, priority) {
+    if (!priority || priority === 'normal')
+        return `p:${queueName}:${workerId}`;
+    return `p:${queueName}:${workerId}:${priority}`;
+}
+
+/**
+ * Generates the name of a worker lease.
+ * 
+ * These keys expire when a worker running in reliable mode stops renewing
+ * them, which marks its processing list as orphaned.
+ * @param queueName The name of the queue.
+ * @param workerId The id of the worker holding the lease.
+ */
+module.exports.workerLease = function (queueName, workerId) {
+    return `l:${queueName}:${workerId}`;
+}
+
+/**
+ * Generates the name of a processing workers set.
+ * 
+ * These sets hold the ids of all workers of a queue that may own a processing list.
+ * @param queueName The name of the queue.
+ */
+module.exports.processingWorkers = function (queueName) {
+    return `pw:${queueName}`;
+}
+
+/**
+ * Generates the name of an idempotency key.
+ * 
+ * These keys store the response of a completed request, so that retries of
+ * the same request get the stored response instead of being handled again.
+ * @param queueName The name of the queue.
+ * @param idempotencyKey The idempotency key provided by the client.
+ */
+module.exports.idempotencyKey = function (queueName, idempotencyKey) {
+    return `i:${queueName}:${idempotencyKey}`;
+}
+
+/**
+ * Generates the name of a dead letter queue.
+ * 
+ * These lists store requests that could not be parsed or handled, so that
+ * they can be inspected and requeued later on.
+ * @param queueName The name of the queue.
+ */
+module.exports.deadLetterQueue = function (queueName) {
+    return `d:${queueName}`;
+}
+
+/**
+ * Generates the name of a worker info hash.
+ * 
+ * These hashes describe a live worker, like its host and its status. They
+ * expire when the worker stops sending heartbeats.
+ * @param queueName The name of the queue.
+ * @param workerId The id of the worker.
+ */
+module.exports.workerInfo = function (queueName, workerId) {
+    return `w:${queueName}:${workerId}`;
+}
+
+/**
+ * Generates the name of a worker registry.
+ * 
+ * These sets hold the ids of all workers of a queue that sent heartbeats.
+ * Ids of workers whose info expired are removed when reading the registry.
+ * @param queueName The name of the queue.
+ */
+module.exports.workerRegistry = function (queueName) {
+    return `ws:${queueName}`;
+}
@@ -1,14 +1,73 @@
 const { serializeError } = require('serialize-error');
 
+const codecs = require('./codecs');
+
 /** 
  * Composes a request message to be send to a worker via a redis server.
  * @param {string} id The id of the request. The worker will send the result
  *   into a queue specific to this request id.
  * @param {any} data Any serializable data that represents the request.
- * @returns {string} The serialized request message.
+ * @param {object} properties Optional properties of the request:
+ *   - metadata: Serializable data that describes the request.
+ *   - ttl: The time in ms after sending in which the client waits for a response.
+ *   - sent: The time of sending as timestamp in ms, in the clock of the redis
+ *     server. Defaults to the local time.
+ *   - idempotencyKey: A key identifying the request across retries.
+ *   - stream: Weather the client wants to receive the response as stream of chunks.
+ *   - trace: The trace context, an object with the properties traceparent and tracestate.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized request message.
+ */
+module.exports.composeRequest = function (id, data, properties, codec) {
+    const { metadata, ttl, sent, idempotencyKey, stream, trace } = properties || {};
+    const { traceparent, tracestate } = trace || {};
+    return codecs.encode({ id, data, metadata, ttl, idempotencyKey, stream, traceparent, tracestate, sent: sent || Date.now() }, codec);
+}
+
+/**
+ * Composes a request to be queued again, like an entry of a dead letter queue.
+ * The ttl and the deadline of older clients are removed, as the client that
+ * set them does not wait for the response anymore. Messages that cannot be parsed are returned unchanged.
+ * @param {string|Buffer} message The request message as composed by `composeRequest`.
+ * @param {object} codec The codec to use for messages of custom codecs.
+ * @returns {string|Buffer} The request message to queue.
+ */
+module.exports.composeRequeue = function (message, codec) {
+    let decoded;
+    try {
+        decoded = codecs.decode(message, codec);
+    }
+    catch (error) {
+        return message;
+    }
+
+    if (!decoded.value || typeof decoded.value !== 'object')
+        return message;
+
+    const { ttl, deadline, ...value } = decoded.value;
+    return codecs.encode(value, decoded.codec);
+}
+
+/**
+ * Composes a notice to be send to workers via a redis server, telling them
+ * that the request with the given id has been cancelled by the client.
+ * @param {string} id The id of the cancelled request.
+ * @returns {string} The serialized cancel notice.
+ */
+module.exports.composeCancel = function (id) {
+    return JSON.stringify({ type: 'cancel', id });
+}
+
+/**
+ * Composes a notice to be send to workers via a redis server, containing a
+ * request that every worker should handle. Notices are always JSON, requests
+ * of binary codecs are embedded base64 encoded.
+ * @param {string|Buffer} message The request message as composed by `composeRequest`.
+ * @returns {string} The serialized broadcast notice.
  */
-module.exports.composeRequest = function (id, data) {
-    return JSON.stringify({ id, data });
+module.exports.composeBroadcast = function (message) {
+    const encoding = codecs.isFramed(message) ? 'base64' : undefined;
+    return JSON.stringify({ type: 'broadcast', request: message.toString(encoding), encoding });
 }
 
 /**
@@ -16,20 +75,97 @@ module.exports.composeRequest = function (id, data) {
  * @param {string} id The id of the request. This should be taken from the request
  *   that resulted in this response.
  * @param {any} response Any serializable data the represents the response.
- * @returns {string} The serialized response message.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized response message.
  */
-module.exports.composeResponse = function (id, response) {
-    return JSON.stringify({ id, response, ok: true });
+module.exports.composeResponse = function (id, response, codec) {
+    return codecs.encode({ id, response, ok: true }, codec);
+}
+
+/**
+ * Composes a chunk of a streamed response to be send to a client via a redis server.
+ * @param {string} id The id of the request.
+ * @param {number} seq The position of the chunk in the stream, starting at 0.
+ * @param {any} chunk Any serializable data that represents the chunk.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized chunk message.
+ */
+module.exports.composeChunk = function (id, seq, chunk, codec) {
+    return codecs.encode({ id, type: 'chunk', seq, chunk, ok: true }, codec);
+}
+
+/**
+ * Composes the end marker of a streamed response to be send to a client via a redis server.
+ * @param {string} id The id of the request.
+ * @param {number} seq The amount of chunks that have been sent.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized end message.
+ */
+module.exports.composeEnd = function (id, seq, codec) {
+    return codecs.encode({ id, type: 'end', seq, ok: true }, codec);
+}
+
+/**
+ * Composes a progress notification of a running request to be send to a
+ * client via a redis server.
+ * @param {string} id The id of the request.
+ * @param {any} progress Any serializable data that describes the progress.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized progress message.
+ */
+module.exports.composeProgress = function (id, progress, codec) {
+    return codecs.encode({ id, type: 'progress', progress, ok: true }, codec);
 }
 
 /** 
  * Composes a pub / sub message to be send to subscribers via a redis server.
  * @param {string} id The id of the message.
  * @param {any} message Any serializable data that represents the message.
- * @returns {string} The serialized request message.
+ * @param {object} properties Optional properties of the message:
+ *   - trace: The trace context, an object with the properties traceparent and tracestate.
+ *   - ack: Weather subscribers should acknowledge the message once handled.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized request message.
+ */
+module.exports.composePubSubMessage = function (id, message, properties, codec) {
+    const { trace, ack } = properties || {};
+    const { traceparent, tracestate } = trace || {};
+    return codecs.encode({ id, message, traceparent, tracestate, ack }, codec);
+}
+
+/**
+ * Composes the acknowledgement of a pub / sub message to be send to the
+ * publisher via a redis server. Acknowledgements are always JSON.
+ * @param {string} id The id of the message.
+ * @param {string} subscriberId The id of the acknowledging subscriber.
+ * @param {boolean} ok Weather the subscriber handled the message successfully.
+ * @param {any} error The error of the handler if it failed.
+ * @returns {string} The serialized acknowledgement.
  */
-module.exports.composePubSubMessage = function (id, message) {
-    return JSON.stringify({ id, message });
+module.exports.composeAck = function (id, subscriberId, ok, error) {
+    if (ok)
+        return JSON.stringify({ id, subscriberId, ok });
+
+    if (error instanceof Error)
+        error = serializeError(error);
+    return JSON.stringify({ id, subscriberId, ok, error });
+}
+
+/**
+ * Composes the response of a single worker to a broadcast request.
+ * @param {string} id The id of the request.
+ * @param {string} workerId The id of the responding worker.
+ * @param {boolean} ok Weather the worker handled the request successfully.
+ * @param {any} result The response of the worker or the error if it failed.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized response message.
+ */
+module.exports.composeBroadcastResponse = function (id, workerId, ok, result, codec) {
+    if (ok)
+        return codecs.encode({ id, type: 'broadcast', workerId, response: result, ok }, codec);
+
+    const error = result instanceof Error ? serializeError(result) : result;
+    return codecs.encode({ id, type: 'broadcast', workerId, error, ok }, codec);
 }
 
 /**
@@ -37,49 +173,135 @@ module.exports.composePubSubMessage = function (id, message) {
  * @param {string} id The id of the request. This should be taken from the request
  *   that resulted in this error.
  * @param {any} error Any serializable arror.
- * @returns {string} The serialized error response.
+ * @param {object} codec The codec to serialize the message with. Defaults to json.
+ * @returns {string|Buffer} The serialized error response.
+ */
+module.exports.composeError = function (id, error, codec) {
+    if (error instanceof Error)
+        error = serializeError(error);
+
+    return codecs.encode({ id, error, ok: false }, codec);
+}
+
+/**
+ * Composes an entry of a dead letter queue. Entries are always stored as JSON,
+ * requests of binary codecs are stored base64 encoded.
+ * @param {string} id The id of the entry.
+ * @param {string|Buffer} message The original request message that could not be handled.
+ * @param {any} error The error that occurred while parsing or handling the request.
+ * @param {string} workerId The id of the worker that failed to handle the request.
+ * @returns {string} The serialized dead letter entry.
  */
-module.exports.composeError = function (id, error) {
+module.exports.composeDeadLetter = function (id, message, error, workerId) {
     if (error instanceof Error)
         error = serializeError(error);
 
-    return JSON.stringify({ id, error, ok: false });
+    const encoding = codecs.isFramed(message) ? 'base64' : undefined;
+    message = message.toString(encoding);
+    return JSON.stringify({ id, message, encoding, error, workerId, timestamp: Date.now() });
+}
+
+/**
+ * Parses an entry of a dead letter queue.
+ * @param {string} entry The entry to parse.
+ * @returns {object} The deserialized entry containing the properties id,
+ *   message, error, workerId and timestamp. The message is a buffer for
+ *   requests of binary codecs and a string otherwise.
+ */
+module.exports.parseDeadLetter = function (entry) {
+    const { id, message, encoding, error, workerId, timestamp } = JSON.parse(entry);
+    return { id, message: encoding ? Buffer.from(message, encoding) : message, error, workerId, timestamp };
 }
 
 /**
  * Parses a request that has been send by a client via a redis server.
- * @param {string} message The message to parse.
+ * @param {string|Buffer} message The message to parse.
+ * @param {object} codec The codec to use for messages of custom codecs.
  * @returns {object} The deserialized request message containing the
- *   properties id and data.
+ *   properties id, data, metadata, ttl, deadline, idempotencyKey, stream, sent
+ *   and trace, an object with the properties traceparent and tracestate. The
+ *   ttl, the idempotencyKey, the time of sending and the properties of the
+ *   trace may be undefined. Only requests of older clients have a deadline,
+ *   an absolute timestamp in ms, instead of the ttl.
+ *   The property codec holds the codec the request has been serialized with,
+ *   which should be used for the response.
  */
-module.exports.parseRequest = function (message) {
-    const { id, data } = JSON.parse(message);
-    return { id, data };
+module.exports.parseRequest = function (message, codec) {
+    const { value, codec: used } = codecs.decode(message, codec);
+    const { id, data, metadata, ttl, deadline, idempotencyKey, stream, sent, traceparent, tracestate } = value;
+    const trace = { traceparent, tracestate };
+    return { id, data, metadata: metadata || {}, ttl, deadline, idempotencyKey, stream: !!stream, sent, trace, codec: used };
+}
+
+/**
+ * Parses a notification that has been send to workers via a redis server.
+ * Empty notifications tell workers that there is a new request in the queue.
+ * @param {string} message The notification to parse.
+ * @returns {object} The deserialized notification containing the property
+ *   type, which is either `request`, `cancel` or `broadcast`. Cancel notices
+ *   contain the id of the cancelled request, broadcast notices the request
+ *   message, which is a buffer for binary codecs and a string otherwise.
+ */
+module.exports.parseNotification = function (message) {
+    if (!message)
+        return { type: 'request' };
+
+    const { type, id, request, encoding } = JSON.parse(message);
+    if (type === 'broadcast')
+        return { type, request: encoding ? Buffer.from(request, encoding) : request };
+    return { type, id };
 }
 
 /**
  * Parses a pub / sub message that has been send by a publisher via a
  * redis server.
- * @param {string} message The message to parse.
+ * @param {string|Buffer} message The message to parse.
+ * @param {object} codec The codec to use for messages of custom codecs.
  * @returns {object} The deserialized request message containing the
- *   properties id and message.
+ *   properties id, message, ack, weather the publisher collects
+ *   acknowledgements, and trace, an object with the properties traceparent
+ *   and tracestate, which may be undefined.
+ */
+module.exports.parsePubSubMessage = function (m, codec) {
+    const { id, message, traceparent, tracestate, ack } = codecs.decode(m, codec).value;
+    return { id, message, ack: !!ack, trace: { traceparent, tracestate } };
+}
+
+/**
+ * Parses the acknowledgement of a pub / sub message.
+ * @param {string} message The acknowledgement to parse.
+ * @returns {object} The deserialized acknowledgement containing the
+ *   properties id, subscriberId, ok and error, if the handler failed.
  */
-module.exports.parsePubSubMessage = function (m) {
-    const { id, message } = JSON.parse(m);
-    return { id, message };
+module.exports.parseAck = function (message) {
+    const { id, subscriberId, ok, error } = JSON.parse(message);
+    return ok ? { id, subscriberId, ok: true } : { id, subscriberId, ok: false, error };
 }
 
 /**
  * Parses a response that has been send by a worker via a redis server.
- * This may also be an error response.
- * @param {string} message The message to parse. 
+ * This may also be an error response or part of a streamed response.
+ * @param {string|Buffer} message The message to parse. 
+ * @param {object} codec The codec to use for messages of custom codecs.
  * @returns {object} The deserialized response message containing the
- *   properties id, ok and response or error, depending on weather the
- *   request was rejected or not.
+ *   properties id, type, ok and response or error, depending on weather the
+ *   request was rejected or not. The type is either `response`, `chunk`,
+ *   `end`, `progress` or `broadcast`. Chunks have the properties seq and
+ *   chunk instead of response, end markers have the property seq and progress
+ *   notifications the property progress. Responses to broadcast requests
+ *   additionally contain the property workerId.
  */
-module.exports.parseResponse = function (message) {
-    const { id, response, error, ok } = JSON.parse(message);
+module.exports.parseResponse = function (message, codec) {
+    const { id, type, seq, chunk, progress, workerId, response, error, ok } = codecs.decode(message, codec).value;
+    if (type === 'broadcast')
+        return ok ? { id, type, workerId, response, ok: true } : { id, type, workerId, error, ok: false };
     if (!ok)
-        return { id, error, ok: false };
-    return { id, response, ok: true };
+        return { id, type: 'response', error, ok: false };
+    if (type === 'chunk')
+        return { id, type, seq, chunk, ok: true };
+    if (type === 'end')
+        return { id, type, seq, ok: true };
+    if (type === 'progress')
+        return { id, type, progress, ok: true };
+    return { id, type: 'response', response, ok: true };
 }
@@ -0,0 +1,258 @@
+/**
+ * Metrics are collected by all components and can be rendered in the text
+ * format of Prometheus. By default all components record into the default
+ * registry, see the `metrics` option in `defaults`.
+ */
+
+// Default buckets of histograms in seconds, the same as in the Prometheus clients
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the text format.
+ */
+function escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats labels like `{queue="a",le="0.5"}`.
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escape(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class of all metrics. Keeps one sample per combination of label values.
+ */
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames || [];
+        this.samples = new Map();
+    }
+
+    /**
+     * Internal method.
+     * Gets the sample for some labels, creating it if it does not exist yet.
+     */
+    _sample(labels, create) {
+        labels = labels || {};
+        const key = this.labelNames.map(l => labels[l]).join('\u0000');
+        if (!this.samples.has(key)) {
+            const picked = {};
+            for (const l of this.labelNames)
+                picked[l] = labels[l] === undefined ? '' : labels[l];
+            this.samples.set(key, Object.assign({ labels: picked }, create()));
+        }
+        return this.samples.get(key);
+    }
+
+    /**
+     * Gets the current value of the sample with the given labels,
+     * or undefined if there is none.
+     */
+    get(labels) {
+        const key = this.labelNames.map(l => (labels || {})[l]).join('\u0000');
+        const sample = this.samples.get(key);
+        return sample ? sample.value : undefined;
+    }
+
+    reset() {
+        this.samples.clear();
+    }
+
+    /**
+     * Renders the metric in the text format of Prometheus.
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const sample of this.samples.values())
+            lines.push(...this._renderSample(sample));
+        return lines.join('\n');
+    }
+
+    _renderSample(sample) {
+        return [`${this.name}${formatLabels(sample.labels)} ${sample.value}`];
+    }
+}
+
+/**
+ * A value that only goes up, like the amount of sent requests.
+ */
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, value) {
+        this._sample(labels, () => ({ value: 0 })).value += value === undefined ? 1 : value;
+    }
+}
+
+/**
+ * A value that can go up and down, like the length of a queue.
+ */
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this._sample(labels, () => ({ value: 0 })).value = value;
+    }
+
+    inc(labels, value) {
+        this._sample(labels, () => ({ value: 0 })).value += value === undefined ? 1 : value;
+    }
+
+    dec(labels, value) {
+        this.inc(labels, -(value === undefined ? 1 : value));
+    }
+}
+
+/**
+ * Counts observed values in buckets, like the durations of requests.
+ */
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = (buckets || defaultBuckets).slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const sample = this._sample(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound)
+                sample.counts[i]++;
+        });
+        sample.sum += value;
+        sample.count++;
+    }
+
+    /**
+     * Gets the sum and the count of the observed values, or undefined if there are none.
+     */
+    get(labels) {
+        const key = this.labelNames.map(l => (labels || {})[l]).join('\u0000');
+        const sample = this.samples.get(key);
+        return sample ? { sum: sample.sum, count: sample.count } : undefined;
+    }
+
+    _renderSample(sample) {
+        const labels = sample.labels;
+        const lines = this.buckets.map((bound, i) =>
+            `${this.name}_bucket${formatLabels(Object.assign({}, labels, { le: bound }))} ${sample.counts[i]}`);
+        lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${sample.count}`);
+        lines.push(`${this.name}_sum${formatLabels(labels)} ${sample.sum}`);
+        lines.push(`${this.name}_count${formatLabels(labels)} ${sample.count}`);
+        return lines;
+    }
+}
+
+/**
+ * A collection of metrics. Metrics are identified by their name, registering
+ * a metric that already exists returns the existing one, so that multiple
+ * components can share a registry.
+ */
+class Registry {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(name, Counter, () => new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this._register(name, Gauge, () => new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(name, Histogram, () => new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Gets a registered metric by its name, or undefined if there is none.
+     */
+    get(name) {
+        return this.entries.get(name);
+    }
+
+    /**
+     * Resets the values of all metrics.
+     */
+    reset() {
+        for (const metric of this.entries.values())
+            metric.reset();
+    }
+
+    /**
+     * Renders all metrics in the text format of Prometheus.
+     * @returns {string} The metrics, which can be served with the content type `contentType`.
+     */
+    metrics() {
+        const rendered = [...this.entries.values()].map(m => m.render());
+        return rendered.length > 0 ? `${rendered.join('\n')}\n` : '';
+    }
+
+    _register(name, type, create) {
+        if (!this.entries.has(name))
+            this.entries.set(name, create());
+
+        const metric = this.entries.get(name);
+        if (!(metric instanceof type))
+            throw new Error(`Metric '${name}' is already registered as ${metric.type}`);
+        return metric;
+    }
+}
+
+// Discards all values, for components whose metrics are disabled
+const discarded = {
+    inc() { },
+    dec() { },
+    set() { },
+    observe() { },
+    get() { return undefined; }
+};
+
+/**
+ * A registry that discards all values, so that components with disabled
+ * metrics do not need to check weather to record them.
+ */
+const disabled = {
+    counter: () => discarded,
+    gauge: () => discarded,
+    histogram: () => discarded
+};
+
+/**
+ * Resolves the `metrics` option of a component into the registry to record
+ * into. Disabled metrics resolve into a registry that discards all values.
+ * @param {Registry|false} registry The `metrics` option.
+ */
+function resolve(registry) {
+    return registry || disabled;
+}
+
+/**
+ * Creates a method that returns the seconds passed since creating it.
+ */
+function timer() {
+    const start = process.hrtime();
+    return () => {
+        const [seconds, nanoseconds] = process.hrtime(start);
+        return seconds + nanoseconds / 1e9;
+    };
+}
+
+module.exports.Registry = Registry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.registry = new Registry();
+module.exports.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+module.exports.timer = timer;
+module.exports.resolve = resolve;
@@ -0,0 +1,47 @@
+/**
+ * Middleware are methods that take a context and a method `next`, which calls
+ * the next middleware and finally the actual operation. They may inspect and
+ * modify the context before calling `next` and transform the result or errors
+ * afterwards, like the middleware of koa:
+ * 
+ * ```js
+ * worker.use(async (ctx, next) => {
+ *     const start = Date.now();
+ *     await next();
+ *     console.log(`Took ${Date.now() - start} ms`);
+ * });
+ * ```
+ */
+
+/**
+ * Checks that a middleware is a method, so that mistakes show up when adding it.
+ * @param {function} fn The middleware to check.
+ * @returns {function} The middleware.
+ */
+module.exports.check = function (fn) {
+    if (typeof fn !== 'function')
+        throw new TypeError('Middleware must be a function');
+    return fn;
+}
+
+/**
+ * Composes a list of middleware into a single method.
+ * @param {function[]} middleware The middleware in the order they should be called.
+ * @returns {function} A method that takes a context and the operation, which is
+ *   called with the context after the last middleware. It returns a promise that
+ *   resolves once all middleware are done.
+ */
+module.exports.compose = function (middleware) {
+    return function (context, operation) {
+        let called = -1;
+        const dispatch = async i => {
+            if (i <= called)
+                throw new Error('next() called multiple times');
+            called = i;
+            if (i === middleware.length)
+                return operation(context);
+            return middleware[i](context, () => dispatch(i + 1));
+        };
+        return dispatch(0);
+    };
+}
@@ -0,0 +1,31 @@
+/**
+ * The priorities a request can have, ordered from highest to lowest.
+ * Workers always take requests with a higher priority first.
+ * 
+ * Priorities can be given by name or by their numeric value.
+ */
+const levels = [
+    { name: 'high', value: 1 },
+    { name: 'normal', value: 0 },
+    { name: 'low', value: -1 }
+];
+
+module.exports.names = levels.map(l => l.name);
+
+/**
+ * Resolves a priority given by name or numeric value to its name.
+ * Defaults to `normal` if no priority is given.
+ * 
+ * Throws an error for unknown priorities.
+ * @param {string|number} priority The priority to resolve.
+ */
+module.exports.resolve = function (priority) {
+    if (priority === undefined || priority === null)
+        return 'normal';
+
+    const level = levels.find(l => l.name === priority || l.value === priority);
+    if (!level)
+        throw new Error(`Unknown priority '${priority}'. Use one of ${levels.map(l => `'${l.name}' (${l.value})`).join(', ')}.`);
+
+    return level.name;
+}
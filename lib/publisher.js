@@ -5,6 +5,9 @@ const { serializeError } = require('serialize-error');
 const keys = require('./keys');
 const messages = require('./messages');
 const defaults = require('./defaults');
+const middleware = require('./middleware');
+const metrics = require('./metrics');
+const durable = require('./durable');
 
 module.exports = class Publisher {
 
@@ -17,7 +20,12 @@ module.exports = class Publisher {
      *  - redis
      *  - logger
      *  - levels
+     *  - timeout
      *  - minimumRecipients
+     *  - codec
+     *  - metrics
+     *  - tracer
+     *  - durable
      *  
      *  See `defaults` for more details on these options.
      */
@@ -31,13 +39,49 @@ module.exports = class Publisher {
         this.redisOptions = o.redis;
         this.prefix = this.redisOptions ? this.redisOptions.prefix || '' : '';
         this.minimumRecipients = o.minimumRecipients;
+        this.timeout = o.timeout;
+        this.codec = o.codec;
+        this.tracer = o.tracer;
+        this.durable = durable.options(o.durable);
+        this.middleware = [];
+        this.collecting = new Map(); // Receivers of acknowledgements by message id
+        const registry = metrics.resolve(o.metrics);
+        this.metrics = {
+            published: registry.counter('rrb_publisher_messages_total', 'Messages published by publishers.', ['channel']),
+            recipients: registry.histogram('rrb_publisher_recipients', 'Amount of subscribers that received a message.', ['channel'], [0, 1, 2, 5, 10, 25, 50, 100])
+        };
 
         this.channel = keys.pubSubChannel(this.channelName, this.prefix);
+        this.stream = keys.pubSubStream(this.channelName);
 
         this._log(this.levels.debug, 'constructor', `Initialized new publisher.`);
         this._log(this.levels.debug, 'constructor', `Pub / Sub Channel: '${this.channel}'.`);
     }
 
+    /**
+     * Adds a middleware that wraps publishing messages. It gets called with a
+     * context and the method `next`, which calls the next middleware and finally
+     * publishes the message. The context has the following properties:
+     * 
+     *  - channel: The name of the channel.
+     *  - id: The id of the message.
+     *  - message: The message to publish.
+     *  - trace: The trace context that is added to the message.
+     *  - received: The amount of recipients, once `next` resolved.
+     *  - entry: The id of the stream entry of durable publishers, once `next` resolved.
+     *  - outcomes: The acknowledgements of the subscribers when using `publishAndCollect`,
+     *    once `next` resolved.
+     * 
+     * Middleware may change the message before calling `next`. Errors of
+     * publishing are thrown by `next`.
+     * @param {function} fn The middleware.
+     * @returns {Publisher} The publisher, so that calls can be chained.
+     */
+    use(fn) {
+        this.middleware.push(middleware.check(fn));
+        return this;
+    }
+
     /**
      * Connects the publisher to the redis. This needs to be called before doing a request.
      * You should consider calling disconnect when done using the publisher to free up recources.
@@ -73,6 +117,7 @@ module.exports = class Publisher {
                 return resolve();
 
             this._log(this.levels.info, 'disconnect', 'Disconnecting from redis.');
+            this._stopCollecting();
             this.publisher.quit((error, _) => {
                 // Force quit on error
                 if (error) {
@@ -97,29 +142,210 @@ module.exports = class Publisher {
      * If the `minimumRecipients` option is set and less subscribers
      * then specified receive the message, the promise  will be rejected.
      * 
+     * Durable publishers add the message to a stream instead and resolve
+     * with the id of the stream entry. The `minimumRecipients` option has
+     * no effect for them, as subscribers read the stream later on.
+     * 
      * Subscribers failing to handle the message will not have any effect
      * on the publisher.
      * 
      * @param {The data to send to the subscribers} message 
+     * @param options Options for this message. Available options are:
+     * 
+     *  - trace: The trace context to continue, like the `trace` of the context
+     *    of a handler. Passed to the `inject` method of the tracer.
      */
-    publish(message) {
-        return new Promise(async (resolve, reject) => {
-            if (!this.publisher) {
-                this._log(this.levels.info, 'publish', 'Tried publishing on a publisher that is not connected.');
-                return reject(new Error('publisher not connected'));
-            }
+    async publish(message, options) {
+        if (!this.publisher) {
+            this._log(this.levels.info, 'publish', 'Tried publishing on a publisher that is not connected.');
+            throw new Error('publisher not connected');
+        }
+
+        const trace = this.tracer.inject((options || {}).trace);
+        const ctx = { channel: this.channelName, id: uniqid(), message, trace, received: undefined, entry: undefined };
+        await middleware.compose(this.middleware)(ctx, async () => {
+            if (this.durable)
+                ctx.entry = await this._add(ctx.id, ctx.message, ctx.trace);
+            else
+                ctx.received = await this._publish(ctx.id, ctx.message, { trace: ctx.trace }, this.minimumRecipients);
+        });
+        return this.durable ? ctx.entry : ctx.received;
+    }
 
-            const id = uniqid();
+    /**
+     * Publishes a message to all subscribers and collects their acknowledgements.
+     * Subscribers acknowledge messages once their handler settled.
+     * 
+     * Resolves with the acknowledgements once all subscribers that received the
+     * message acknowledged it or the timeout expired. Every acknowledgement has
+     * the properties subscriberId, ok and error, if the handler failed.
+     * Rejects with an error if publishing failed.
+     * 
+     * If the `minimumRecipients` option is set and less subscribers than
+     * specified handled the message successfully, the promise will be rejected.
+     * The error has the property outcomes with the acknowledgements.
+     * 
+     * @param {any} message The data to send to the subscribers.
+     * @param options Options for this message. Available options are:
+     * 
+     *  - timeout: The time in ms to wait for acknowledgements. Defaults to the `timeout` option.
+     *  - trace: The trace context to continue. See `publish`.
+     */
+    async publishAndCollect(message, options) {
+        if (!this.publisher) {
+            this._log(this.levels.info, 'publish', 'Tried publishing on a publisher that is not connected.');
+            throw new Error('publisher not connected');
+        }
+        if (this.durable)
+            throw new Error('Durable publishers cannot collect acknowledgements.');
+
+        options = options || {};
+        const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        const trace = this.tracer.inject(options.trace);
+        // The publisher id lets acknowledgements be received by a single pattern subscription
+        const ctx = { channel: this.channelName, id: `${this.id}:${uniqid()}`, message, trace, received: undefined, entry: undefined, outcomes: undefined };
+        await middleware.compose(this.middleware)(ctx, async () => {
+            await this._startCollecting();
+            ctx.outcomes = await this._collect(ctx, timeout);
+        });
+        return ctx.outcomes;
+    }
+
+    /**
+     * Internal method.
+     * Publishes a message that subscribers acknowledge and collects the acknowledgements.
+     */
+    _collect(ctx, timeout) {
+        return new Promise((resolve, reject) => {
+            const outcomes = [];
+            let expected;
+
+            const complete = () => {
+                clearTimeout(timer);
+                this.collecting.delete(ctx.id);
+
+                const succeeded = outcomes.filter(o => o.ok).length;
+                if (succeeded < this.minimumRecipients) {
+                    this._log(this.levels.warning, 'publish', `Message ${ctx.id} handled by less than specified subscribers (${succeeded}).`);
+                    const error = new Error('Could not reach enough subscribers');
+                    error.outcomes = outcomes;
+                    return reject(error);
+                }
+
+                resolve(outcomes);
+            };
+
+            const timer = setTimeout(() => {
+                this._log(this.levels.info, 'publish', `Timed out collecting acknowledgements of message ${ctx.id} (${outcomes.length} of ${expected}).`);
+                complete();
+            }, timeout);
+
+            this.collecting.set(ctx.id, outcome => {
+                outcomes.push(outcome);
+                if (outcomes.length >= expected)
+                    complete();
+            });
+
+            // The amount of recipients tells how many acknowledgements to expect
+            this._publish(ctx.id, ctx.message, { trace: ctx.trace, ack: true }, 0).then(received => {
+                ctx.received = received;
+                expected = received;
+                if (outcomes.length >= expected)
+                    complete();
+            }, error => {
+                clearTimeout(timer);
+                this.collecting.delete(ctx.id);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Internal method.
+     * Subscribes to the acknowledgements of messages of this publisher, if not
+     * done yet. Publishers that do not collect acknowledgements do not need the
+     * connection.
+     */
+    _startCollecting() {
+        if (!this.collector) {
+            this.collector = redis.createClient(this.redisOptions);
+            this.collector.on('pmessage', (_, __, message) => this._onAck(message));
+            this.collectorReady = new Promise((resolve, reject) => {
+                this.collector.psubscribe(keys.ackPattern(this.id, this.prefix), (error, _) => {
+                    if (error) {
+                        this._log(this.levels.error, 'publish', `Error while subscribing to acknowledgements: ${JSON.stringify(error)}`);
+                        this._stopCollecting();
+                        return reject(error);
+                    }
+                    resolve();
+                });
+            });
+        }
+        return this.collectorReady;
+    }
+
+    /**
+     * Internal method.
+     * Closes the connection for receiving acknowledgements.
+     */
+    _stopCollecting() {
+        const collector = this.collector;
+        if (!collector)
+            return;
+
+        this.collector = undefined;
+        this.collectorReady = undefined;
+        collector.quit((error, _) => {
+            if (error)
+                collector.end(false);
+        });
+    }
+
+    /**
+     * Internal method.
+     * Passes an acknowledgement to the publishAndCollect call waiting for it.
+     */
+    _onAck(message) {
+        let ack;
+        try {
+            ack = messages.parseAck(message);
+        }
+        catch (error) {
+            return this._log(this.levels.warning, 'publish', `Failed to parse acknowledgement: ${message}`);
+        }
+
+        const collect = this.collecting.get(ack.id);
+        if (!collect)
+            return this._log(this.levels.debug, 'publish', `Ignoring late acknowledgement of message ${ack.id}.`);
+
+        const { id, ...outcome } = ack;
+        collect(outcome);
+    }
+
+    /**
+     * Internal method.
+     * Publishes a single message.
+     * 
+     * Resolves with the amount of recipients if everything went well.
+     * Rejects with an error otherwise, or if less than the minimum amount
+     * of recipients received the message.
+     */
+    _publish(id, message, properties, minimumRecipients) {
+        return new Promise(async (resolve, reject) => {
             try {
-                const m = messages.composePubSubMessage(id, message);
-                this._log(this.levels.debug, 'publish', `Publishing message: ${m}`);
+                const m = messages.composePubSubMessage(id, message, properties, this.codec);
+                this._log(this.levels.debug, 'publish', `Publishing message ${id}.`);
                 this.publisher.publish(this.channel, m, (error, received) => {
                     if (error) {
                         this._log(this.levels.error, 'publish', `Failed to publish message ${id}: ${error}`);
                         return reject(error);
                     }
 
-                    if (received < this.minimumRecipients) {
+                    const labels = { channel: this.channelName };
+                    this.metrics.published.inc(labels);
+                    this.metrics.recipients.observe(labels, received);
+
+                    if (received < minimumRecipients) {
                         this._log(this.levels.warning, 'publish', `Message ${id} received by less than specified subscribers (${received}).`);
                         return reject(new Error('Could not reach enough subscribers'));
                     }
@@ -135,6 +361,37 @@ module.exports = class Publisher {
         });
     }
 
+    /**
+     * Internal method.
+     * Adds a single message to the stream of the channel, trimming the
+     * stream to roughly the maximum length.
+     * 
+     * Resolves with the id of the stream entry if everything went well.
+     * Rejects with an error otherwise.
+     */
+    _add(id, message, trace) {
+        return new Promise((resolve, reject) => {
+            try {
+                const m = messages.composePubSubMessage(id, message, { trace }, this.codec);
+                this._log(this.levels.debug, 'publish', `Adding message ${id} to stream.`);
+                this.publisher.xadd(this.stream, 'MAXLEN', '~', this.durable.maxLength, '*', 'message', m, (error, entry) => {
+                    if (error) {
+                        this._log(this.levels.error, 'publish', `Failed to add message ${id} to stream: ${error}`);
+                        return reject(error);
+                    }
+
+                    this.metrics.published.inc({ channel: this.channelName });
+                    this._log(this.levels.debug, 'publish', `Message ${id} added as entry ${entry}.`);
+                    resolve(entry);
+                });
+            }
+            catch (error) {
+                this._log(this.levels.error, 'publish', `Publish failed with unknown error: ${JSON.stringify(serializeError(error))}.`);
+                return reject(error);
+            }
+        });
+    }
+
     _log(level, scope, message) {
         this.logger(level, message, 'publisher', this.id, scope);
     }
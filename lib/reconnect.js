@@ -0,0 +1,155 @@
+const { serializeError } = require('serialize-error');
+
+const retry = require('./retry');
+
+/**
+ * Handles lost redis connections of workers and subscribers. Connections
+ * are reestablished with exponential backoff and components are told when
+ * a connection is back, so that they can subscribe again and catch up.
+ */
+
+const defaultOptions = {
+    attempts: Infinity,
+    delay: 100,
+    maxDelay: 5000,
+    factor: 2,
+    jitter: true
+};
+
+/**
+ * The states of the connections of a component:
+ * 
+ *  - stopped: The component is not using any connection.
+ *  - connecting: The component is connecting for the first time.
+ *  - connected: All connections are ready.
+ *  - reconnecting: At least one connection has been lost and is reestablished.
+ *  - failed: At least one connection has been lost and reconnecting gave up.
+ */
+const states = {
+    stopped: 'stopped',
+    connecting: 'connecting',
+    connected: 'connected',
+    reconnecting: 'reconnecting',
+    failed: 'failed'
+};
+
+module.exports.states = states;
+
+/**
+ * Applies the provided reconnect options to the default reconnect options.
+ */
+module.exports.options = function (options) {
+    return Object.assign({}, defaultOptions, options);
+}
+
+/**
+ * Adds a retry strategy using the reconnect options to the redis options,
+ * unless they already have one. Reconnecting gives up after the configured
+ * amount of attempts.
+ * @param {object} redisOptions The options for the redis connection.
+ * @param {object} options The reconnect options.
+ * @param {object} overrides Further redis options to set.
+ */
+module.exports.redisOptions = function (redisOptions, options, overrides) {
+    const strategy = ({ attempt, error }) => {
+        if (attempt > options.attempts)
+            return new Error(`Failed to reconnect after ${options.attempts} attempts: ${error ? error.message : 'connection lost'}`);
+        return retry.delay(attempt, options);
+    };
+
+    return Object.assign({ retry_strategy: strategy }, redisOptions, overrides);
+}
+
+/**
+ * Watches the redis connections of a component and combines their states
+ * into the state of the component. Changes of the state and errors of the
+ * connections are logged.
+ */
+module.exports.Monitor = class Monitor {
+
+    /**
+     * @param {function} log The log method of the component, taking a level, a scope and a message.
+     * @param {object} levels The log levels of the component.
+     * @param {function} onStateChange Optional method that is called with the new and the
+     *   previous state when the state changes, like the `onStateChange` option.
+     */
+    constructor(log, levels, onStateChange) {
+        this.log = log;
+        this.levels = levels;
+        this.onStateChange = onStateChange;
+        this.connections = new Map();
+        this.state = states.stopped;
+    }
+
+    /**
+     * Starts watching a connection.
+     * @param {object} client The node_redis client of the connection.
+     * @param {function} onReconnect Called when the connection is ready again after it has been lost.
+     */
+    watch(client, onReconnect) {
+        this.connections.set(client, states.connecting);
+        this._update();
+
+        // Without a listener, errors would crash the process
+        client.on('error', error => {
+            this.log(this.levels.warning, 'connection', `Redis connection error: ${JSON.stringify(serializeError(error))}`);
+            if (error.code === 'CONNECTION_BROKEN')
+                this._set(client, states.failed);
+        });
+        // Lost connections end before the first reconnect attempt
+        client.on('end', () => this._set(client, states.reconnecting));
+        client.on('reconnecting', () => this._set(client, states.reconnecting));
+        client.on('ready', () => {
+            const reconnected = this.connections.get(client) === states.reconnecting;
+            this._set(client, states.connected);
+            if (reconnected && onReconnect)
+                onReconnect();
+        });
+    }
+
+    /**
+     * Stops watching all connections, like when the component stops.
+     */
+    clear() {
+        this.connections.clear();
+        this._update();
+    }
+
+    _set(client, state) {
+        if (!this.connections.has(client))
+            return;
+
+        this.connections.set(client, state);
+        this._update();
+    }
+
+    _update() {
+        const current = [...this.connections.values()];
+        let state = states.connected;
+        if (current.length === 0)
+            state = states.stopped;
+        else if (current.includes(states.failed))
+            state = states.failed;
+        else if (current.includes(states.reconnecting))
+            state = states.reconnecting;
+        else if (current.includes(states.connecting))
+            state = states.connecting;
+
+        if (state === this.state)
+            return;
+
+        const previous = this.state;
+        this.state = state;
+        const level = state === states.reconnecting || state === states.failed ? this.levels.notice : this.levels.info;
+        this.log(level, 'connection', `State changed from '${previous}' to '${state}'.`);
+        if (!this.onStateChange)
+            return;
+
+        try {
+            this.onStateChange(state, previous);
+        }
+        catch (error) {
+            this.log(this.levels.warning, 'connection', `State change callback threw an error: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+}
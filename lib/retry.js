@@ -0,0 +1,71 @@
+const { AbortError, TimeoutError } = require('./errors');
+
+// Error codes of failed or lost redis connections
+const connectionErrorCodes = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'NR_CLOSED', 'CONNECTION_BROKEN', 'UNCERTAIN_STATE'];
+
+/**
+ * Decides weather a failed request should be retried. These are timeouts,
+ * connection errors and errors that have been flagged as transient by the
+ * worker, using a `transient` property that is set to `true`.
+ * @param {any} error The error the request failed with.
+ */
+function isRetryable(error) {
+    if (!error)
+        return false;
+
+    if (error instanceof TimeoutError)
+        return true;
+
+    return error.transient === true || connectionErrorCodes.includes(error.code);
+}
+
+const defaultOptions = {
+    attempts: 1,
+    delay: 100,
+    maxDelay: 5000,
+    factor: 2,
+    jitter: true,
+    retryable: isRetryable
+};
+
+module.exports.isRetryable = isRetryable;
+
+/**
+ * Applies the provided retry options to the default retry options.
+ */
+module.exports.options = function (options) {
+    return Object.assign({}, defaultOptions, options);
+}
+
+/**
+ * Calculates the delay in ms before the next attempt using exponential backoff.
+ * With jitter enabled, a random delay between zero and the calculated one is used.
+ * @param {number} attempt The number of the attempt that failed, starting at 1.
+ * @param {object} options The retry options.
+ */
+module.exports.delay = function (attempt, options) {
+    const delay = Math.min(options.delay * Math.pow(options.factor, attempt - 1), options.maxDelay);
+    return options.jitter ? Math.round(Math.random() * delay) : delay;
+}
+
+/**
+ * Resolves after the given time in ms. Rejects with an `AbortError`
+ * if the signal gets aborted in the meantime.
+ * @param {number} ms The time to wait.
+ * @param {AbortSignal} signal An optional signal to abort waiting.
+ */
+module.exports.wait = function (ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new AbortError());
+        };
+        const timeout = setTimeout(() => {
+            if (signal)
+                signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal)
+            signal.addEventListener('abort', onAbort);
+    });
+}
@@ -0,0 +1,81 @@
+const { MethodNotFoundError } = require('./errors');
+
+// Names of methods that are provided by every worker with a map of methods
+const reserved = 'rpc.';
+const discover = 'rpc.discover';
+
+/**
+ * Collects the methods of a nested object map, naming them by their path.
+ */
+function collect(methods, path, result) {
+    for (const [name, value] of Object.entries(methods)) {
+        const fullName = path ? `${path}.${name}` : name;
+        if (typeof value === 'function')
+            result.set(fullName, { method: value, target: methods });
+        else if (value !== null && typeof value === 'object')
+            collect(value, fullName, result);
+    }
+    return result;
+}
+
+/**
+ * Creates a handle method for workers that calls named methods. Requests have
+ * the form `{ method, args }`, where the method is the path of the method in
+ * the map, separated by dots, and args is an array of arguments. The context of
+ * the request is passed as additional last argument.
+ * 
+ * Requests for unknown methods are rejected with a `MethodNotFoundError`. The
+ * method `rpc.discover` resolves with the names of all available methods.
+ * @param {object} methods An object that maps names to methods or nested maps.
+ * @returns {function} The handle method.
+ */
+module.exports.createHandler = function (methods) {
+    const registry = collect(methods, '', new Map());
+    for (const name of registry.keys())
+        if (name.startsWith(reserved))
+            throw new Error(`Method names starting with '${reserved}' are reserved: ${name}`);
+
+    return async function (data, context) {
+        const method = data !== null && typeof data === 'object' ? data.method : undefined;
+        if (method === discover)
+            return [...registry.keys()];
+
+        const entry = registry.get(method);
+        if (!entry)
+            throw new MethodNotFoundError(method);
+
+        const args = Array.isArray(data.args) ? data.args : [];
+        return entry.method.call(entry.target, ...args, context);
+    };
+}
+
+/**
+ * Composes the request that calls a named method.
+ * @param {string} method The name of the method.
+ * @param {any[]} args The arguments of the method.
+ * @returns {object} The request.
+ */
+module.exports.composeCall = function (method, args) {
+    return { method, args };
+}
+
+/**
+ * Creates a proxy that turns property accesses into method names and calls
+ * into requests, so that `proxy.users.get(42)` calls `send('users.get', [42])`.
+ * 
+ * The property `then` is never part of a method name, so that proxies can be
+ * returned from async methods without being mistaken for promises.
+ * @param {function} send A method that sends a request for the given method
+ *   name and arguments and returns a promise for the result.
+ * @returns {Proxy} The proxy.
+ */
+module.exports.createProxy = function createProxy(send, path) {
+    return new Proxy(function () { }, {
+        get: (_, property) => {
+            if (typeof property === 'symbol' || property === 'then')
+                return undefined;
+            return createProxy(send, path ? `${path}.${property}` : property);
+        },
+        apply: (_, __, args) => send(path, args)
+    });
+}
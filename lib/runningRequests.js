@@ -3,9 +3,11 @@ module.exports = function init(timeout) {
     let promise = Promise.resolve();
     let promiseResolve;
     return {
-        add: function (id) {
+        add: function (id, requestTimeout) {
             runningRequests.push(id);
-            setTimeout(() => this.finish(id), timeout);
+            requestTimeout = requestTimeout || timeout;
+            if (isFinite(requestTimeout))
+                setTimeout(() => this.finish(id), requestTimeout);
             if (runningRequests.length === 1)
                 promise = new Promise((resolve, _) => { promiseResolve = resolve; });
         },
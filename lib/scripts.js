@@ -0,0 +1,118 @@
+/**
+ * Lua scripts that are evaluated on the redis server, as some operations
+ * have to happen atomically.
+ */
+
+/**
+ * Takes the oldest request of the first non empty request queue.
+ * 
+ * KEYS: The request queues, ordered from highest to lowest priority.
+ * 
+ * Returns the request or nil if all queues are empty.
+ */
+module.exports.pop = `
+for i = 1, #KEYS do
+    local message = redis.call('lpop', KEYS[i])
+    if message then
+        return message
+    end
+end
+return false
+`;
+
+/**
+ * Moves the oldest request of the first non empty request queue into the
+ * processing list of the same priority.
+ * 
+ * KEYS[1..n]: The request queues, ordered from highest to lowest priority.
+ * KEYS[n+1..2n]: The processing lists, in the same order.
+ * 
+ * Returns the request and the index of its priority or nil if all queues are empty.
+ */
+module.exports.popReliable = `
+local n = #KEYS / 2
+for i = 1, n do
+    local message = redis.call('lpop', KEYS[i])
+    if message then
+        redis.call('rpush', KEYS[n + i], message)
+        return { message, i - 1 }
+    end
+end
+return false
+`;
+
+/**
+ * Moves all requests of the processing lists of a worker back to the front of
+ * the request queues of the same priority, keeping their order, if the lease
+ * of the worker has expired.
+ * 
+ * KEYS[1]: The lease of the worker.
+ * KEYS[2]: The processing workers set.
+ * KEYS[3..n+2]: The processing lists of the worker, ordered by priority.
+ * KEYS[n+3..2n+2]: The request queues, in the same order.
+ * ARGV[1]: The id of the worker.
+ * 
+ * Returns the amount of recovered requests or -1 if the lease is still valid.
+ */
+module.exports.recover = `
+if redis.call('exists', KEYS[1]) == 1 then
+    return -1
+end
+local n = (#KEYS - 2) / 2
+local count = 0
+for i = 3, n + 2 do
+    while redis.call('rpoplpush', KEYS[i], KEYS[n + i]) do
+        count = count + 1
+    end
+end
+redis.call('srem', KEYS[2], ARGV[1])
+return count
+`;
+
+/**
+ * Removes a request queue.
+ * 
+ * KEYS[1]: The request queue.
+ * 
+ * Returns the amount of removed requests.
+ */
+module.exports.purge = `
+local count = redis.call('llen', KEYS[1])
+redis.call('del', KEYS[1])
+return count
+`;
+
+/**
+ * Moves an entry of a list, like a dead letter queue or a processing list, back
+ * into the request queue, unless it has been removed in the meantime.
+ * 
+ * KEYS[1]: The list holding the entry.
+ * KEYS[2]: The request queue.
+ * ARGV[1]: The entry of the list.
+ * ARGV[2]: The request to queue.
+ * 
+ * Returns 1 if the entry has been moved, 0 otherwise.
+ */
+module.exports.requeue = `
+if redis.call('lrem', KEYS[1], 1, ARGV[1]) == 0 then
+    return 0
+end
+redis.call('rpush', KEYS[2], ARGV[2])
+return 1
+`;
+
+/**
+ * Stores the information about a worker and adds it to the registry of its
+ * queue, so that no worker is registered without information.
+ * 
+ * KEYS[1]: The information about the worker.
+ * KEYS[2]: The worker registry of the queue.
+ * ARGV[1]: The time in ms after which the information expires.
+ * ARGV[2]: The id of the worker.
+ * ARGV[3..n]: The fields of the information and their values.
+ */
+module.exports.heartbeat = `
+redis.call('hmset', KEYS[1], unpack(ARGV, 3))
+redis.call('pexpire', KEYS[1], ARGV[1])
+redis.call('sadd', KEYS[2], ARGV[2])
+`;
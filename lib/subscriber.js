@@ -1,10 +1,20 @@
 const redis = require("redis");
+const handyRedis = require("handy-redis");
 const uniqid = require('uniqid');
 const { serializeError } = require('serialize-error');
+const sleep = require('util').promisify(setTimeout);
 
 const keys = require('./keys');
 const messages = require('./messages');
 const defaults = require('./defaults');
+const middleware = require('./middleware');
+const metrics = require('./metrics');
+const durable = require('./durable');
+const reconnect = require('./reconnect');
+
+// Reading the stream is unblocked when stopping, so this only limits the
+// time stopping takes if the unblock happens right before a read.
+const blockTimeout = 1000;
 
 module.exports = class Subscriber {
 
@@ -12,15 +22,28 @@ module.exports = class Subscriber {
      * A subscriber that listens to a channel perfoms an action when messages
      * get published by a publisher.
      * 
-     * @param channelName The name of the channel to listen to.
+     * @param channelName The name of the channel to listen to. With the `pattern`
+     *   option, this is a glob-style pattern like `orders.*.created`. May be omitted
+     *   if channels are added using `subscribe`.
      * @param handle The method that will be called when receiving requests.
      *   Returning any value does not have an effect, neither does rejecting
-     *   or resolving a promise.
+     *   or resolving a promise. Besides the message it receives a context
+     *   with the properties `id`, `channel`, the name of the channel the message
+     *   has been published to, and `trace`, the trace context extracted
+     *   by the tracer. Durable subscribers do not acknowledge messages whose
+     *   handler failed, so that they are handled again once claimed.
      * @param options Advanced options to configure the worker. Available options are:
      * 
      *  - redis
      *  - logger
      *  - levels
+     *  - codec
+     *  - metrics
+     *  - tracer
+     *  - pattern
+     *  - durable
+     *  - reconnect
+     *  - onStateChange
      *  
      *  See `defaults` for more details on these options.
      */
@@ -33,11 +56,122 @@ module.exports = class Subscriber {
         this.levels = o.levels;
         this.redisOptions = o.redis;
         this.prefix = this.redisOptions ? this.redisOptions.prefix || '' : '';
+        this.codec = o.codec;
+        this.tracer = o.tracer;
+        this.pattern = o.pattern;
+        this.durable = durable.options(o.durable);
+        this.reconnect = reconnect.options(o.reconnect);
+        this.monitor = new reconnect.Monitor((level, scope, message) => this._log(level, scope, message), this.levels, o.onStateChange);
+        if (this.durable && this.pattern)
+            throw new Error('Durable subscribers cannot subscribe to patterns.');
+        if (this.durable)
+            this.consumer = this.durable.consumer || this.id;
+        this.middleware = [];
+        // Handlers by the name of the redis channel or pattern
+        this.channels = new Map();
+        this.patterns = new Map();
+        const registry = metrics.resolve(o.metrics);
+        this.metrics = {
+            errors: registry.counter('rrb_subscriber_handler_errors_total', 'Messages whose handler threw an error.', ['channel'])
+        };
 
-        this.channel = keys.pubSubChannel(this.channelName, this.prefix);
+        if (this.durable && (channelName === undefined || channelName === null))
+            throw new Error('Durable subscribers need a channel.');
 
         this._log(this.levels.debug, 'constructor', `Initialized new subscriber.`);
-        this._log(this.levels.debug, 'constructor', `Pub / Sub Channel: '${this.channel}'.`);
+        if (channelName === undefined || channelName === null)
+            return;
+
+        this.channel = this._add(channelName, handle, this.pattern);
+        this.stream = keys.pubSubStream(this.channelName);
+
+        this._log(this.levels.debug, 'constructor', `Pub / Sub ${this.pattern ? 'Pattern' : 'Channel'}: '${this.channel}'.`);
+        if (this.durable)
+            this._log(this.levels.debug, 'constructor', `Stream: '${this.stream}', consumer group: '${this.durable.group}'.`);
+    }
+
+    /**
+     * Adds a middleware that wraps the handling of messages. It gets called with
+     * a context and the method `next`, which calls the next middleware and finally
+     * the handler. The context has the following properties:
+     * 
+     *  - channel: The name of the channel the message has been published to.
+     *  - id: The id of the message.
+     *  - message: The message, which is passed to the handler.
+     *  - trace: The trace context, which is passed to the handler.
+     * 
+     * Middleware may change the message before calling `next`, or not call it
+     * at all to drop the message. Errors of the handler are thrown by `next`.
+     * @param {function} fn The middleware.
+     * @returns {Subscriber} The subscriber, so that calls can be chained.
+     */
+    use(fn) {
+        this.middleware.push(middleware.check(fn));
+        return this;
+    }
+
+    /**
+     * The state of the redis connections of the subscriber, either `stopped`,
+     * `connecting`, `connected`, `reconnecting` or `failed`.
+     */
+    get state() {
+        return this.monitor.state;
+    }
+
+    /**
+     * Adds a channel with a handler of its own. Messages of all channels are
+     * received on the same redis connection. If the subscriber is listening,
+     * it starts receiving the messages of the channel right away.
+     * 
+     * Resolves without any value when subscribed.
+     * Rejects with an error if already subscribed to the channel or if
+     * subscribing did not work.
+     * @param {string} channelName The name of the channel.
+     * @param {function} handle The handler of the messages of the channel. See the constructor.
+     * @param options Optional object with the property:
+     *   - pattern: Weather the channel name is a pattern. Defaults to the `pattern` option.
+     */
+    async subscribe(channelName, handle, options) {
+        if (this.durable)
+            throw new Error('Durable subscribers cannot subscribe to further channels.');
+
+        const pattern = resolvePattern(options, this.pattern);
+        const channel = this._add(channelName, handle, pattern);
+        if (!this.isListening)
+            return;
+
+        try {
+            await this._command(pattern ? 'psubscribe' : 'subscribe', [channel]);
+        }
+        catch (error) {
+            (pattern ? this.patterns : this.channels).delete(channel);
+            throw error;
+        }
+        this._log(this.levels.info, 'subscribe', `Subscribed to '${channel}'.`);
+    }
+
+    /**
+     * Removes a channel, so that its messages are no longer received.
+     * 
+     * Resolves with weather the subscriber was subscribed to the channel.
+     * Rejects with an error when unsubscribing did not work.
+     * @param {string} channelName The name of the channel.
+     * @param options Optional object with the property:
+     *   - pattern: Weather the channel name is a pattern. Defaults to the `pattern` option.
+     */
+    async unsubscribe(channelName, options) {
+        if (this.durable)
+            throw new Error('Durable subscribers cannot unsubscribe from their channel.');
+
+        const pattern = resolvePattern(options, this.pattern);
+        const channel = keys.pubSubChannel(channelName, this.prefix);
+        if (!(pattern ? this.patterns : this.channels).delete(channel))
+            return false;
+
+        if (this.isListening)
+            await this._command(pattern ? 'punsubscribe' : 'unsubscribe', [channel]);
+        this._log(this.levels.info, 'unsubscribe', `Unsubscribed from '${channel}'.`);
+        return true;
     }
 
     /**
@@ -58,20 +192,26 @@ module.exports = class Subscriber {
             this._log(this.levels.info, 'listen', 'Starting to listen for messages.');
             this.isListening = true;
 
+            if (this.durable)
+                return this._listenDurable().then(resolve, reject);
+
             // Create clients for publishing and listening.
             // When subscribed you cannot set keys, but we want to listen before telling the world we are.
-            this.subscriber = redis.createClient(this.redisOptions);
+            // Subscribing again after reconnecting is done by the subscriber, as channels may change in the meantime
+            this.subscriber = redis.createClient(reconnect.redisOptions(this.redisOptions, this.reconnect, { disable_resubscribing: true }));
+            this.monitor.watch(this.subscriber, () => this._resubscribe());
 
             // Register listener and start listeing
-            this.subscriber.on('message', (_, message) => this._onMessage(message));
-            this.subscriber.subscribe(this.channel, async (error, _) => {
-                if (error) {
+            this.subscriber.on('message_buffer', (channel, message) =>
+                this._onSubscribedMessage(this.channels.get(channel.toString()), channel, message));
+            this.subscriber.on('pmessage_buffer', (pattern, channel, message) =>
+                this._onSubscribedMessage(this.patterns.get(pattern.toString()), channel, message));
+            this._command('subscribe', [...this.channels.keys()])
+                .then(() => this._command('psubscribe', [...this.patterns.keys()]))
+                .then(resolve, error => {
                     this._log(this.levels.error, 'listen', `Error while subscribing to channel: ${JSON.stringify(error)}`);
-                    return reject(error);
-                }
-
-                resolve();
-            });
+                    reject(error);
+                });
         });
     }
 
@@ -88,49 +228,379 @@ module.exports = class Subscriber {
 
             this.isListening = false;
             this._log(this.levels.debug, 'stop', 'Stop initiated. closing connections.');
+            this.monitor.clear();
+
+            if (this.durable)
+                return this._stopDurable().then(resolve, reject);
 
             // unsubscribe from all channels
-            this.subscriber.unsubscribe((error, _) => {
-                if (error)
-                    return reject(error);
-
-                // Quit client to free resources and force if neccessary
-                this.subscriber.quit((error, _) => {
-                    if (error) {
-                        this._log(this.levels.warning, 'stop', 'Failed to gracefully close redis connection. Forcing now.');
-                        this.subscriber.end(false);
-                    }
-                    this.subscriber = undefined;
-                    this._log(this.levels.info, 'stop', 'Shutdown complete.');
-                    resolve();
-                });
-            });
+            this._command('unsubscribe', [...this.channels.keys()])
+                .then(() => this._command('punsubscribe', [...this.patterns.keys()]))
+                .then(() => this._stopAcknowledging())
+                .then(() => {
+                    // Quit client to free resources and force if neccessary
+                    this.subscriber.quit((error, _) => {
+                        if (error) {
+                            this._log(this.levels.warning, 'stop', 'Failed to gracefully close redis connection. Forcing now.');
+                            this.subscriber.end(false);
+                        }
+                        this.subscriber = undefined;
+                        this._log(this.levels.info, 'stop', 'Shutdown complete.');
+                        resolve();
+                    });
+                }, reject);
         });
     }
 
+    /**
+     * Internal method.
+     * Registers the handler of a channel or pattern.
+     * 
+     * Returns the name of the redis channel.
+     */
+    _add(channelName, handle, pattern) {
+        const channel = keys.pubSubChannel(channelName, this.prefix);
+        const subscriptions = pattern ? this.patterns : this.channels;
+        if (subscriptions.has(channel))
+            throw new Error(`Already subscribed to '${channelName}'.`);
+
+        subscriptions.set(channel, { channelName, handle });
+        return channel;
+    }
+
+    /**
+     * Internal method.
+     * Sends a (un)subscribe command for the given channels or patterns.
+     * Resolves right away if there are none.
+     */
+    _command(command, channels) {
+        return new Promise((resolve, reject) => {
+            if (channels.length === 0)
+                return resolve();
+
+            this.subscriber[command](channels, (error, _) => error ? reject(error) : resolve());
+        });
+    }
+
+    /**
+     * Internal method.
+     * Handles a message received on the connection, if its channel or
+     * pattern is still subscribed.
+     */
+    _onSubscribedMessage(subscription, channel, message) {
+        if (subscription)
+            return this._onMessage(message, this._parseChannel(channel), subscription);
+    }
+
+    /**
+     * Internal method.
+     * Joins the consumer group and starts reading the stream of the channel.
+     */
+    async _listenDurable() {
+        // Reading blocks the connection, so other commands need one of their own
+        this.client = handyRedis.createHandyClient(reconnect.redisOptions(this.redisOptions, this.reconnect, { detect_buffers: true }));
+        this.reader = handyRedis.createHandyClient(reconnect.redisOptions(this.redisOptions, this.reconnect, { return_buffers: true }));
+        this.monitor.watch(this.client.redis);
+        // Entries delivered while the connection was lost may never have been received
+        this.monitor.watch(this.reader.redis, () => {
+            this.readPending = true;
+            this._identifyReader()
+                .catch(error => this._log(this.levels.warning, 'reconnect', `Failed to get the id of the reading connection: ${JSON.stringify(serializeError(error))}`));
+        });
+        this.inFlight = new Set();
+        try {
+            await this._createGroup();
+            await this._identifyReader();
+        }
+        catch (error) {
+            this._log(this.levels.error, 'listen', `Error while joining consumer group: ${JSON.stringify(serializeError(error))}`);
+            this.isListening = false;
+            this.monitor.clear();
+            this.client.redis.end(false);
+            this.reader.redis.end(false);
+            throw error;
+        }
+
+        this.claimTimer = setInterval(() => this._claim()
+            .catch(error => this._log(this.levels.warning, 'claim', `Failed to claim pending entries: ${JSON.stringify(serializeError(error))}`)),
+            this.durable.claimTimeout);
+        this.reading = this._read();
+    }
+
+    /**
+     * Internal method.
+     * Stops reading the stream and closes the connections.
+     */
+    async _stopDurable() {
+        clearInterval(this.claimTimer);
+        await this.client.client('UNBLOCK', this.readerId);
+        await this.reading;
+
+        for (const connection of [this.reader, this.client]) {
+            try {
+                await connection.quit();
+            }
+            catch (error) {
+                this._log(this.levels.warning, 'stop', 'Failed to gracefully close redis connection. Forcing now.');
+                connection.redis.end(false);
+            }
+        }
+
+        this.client = undefined;
+        this.reader = undefined;
+        this._log(this.levels.info, 'stop', 'Shutdown complete.');
+    }
+
+    /**
+     * Internal method.
+     * Gets the id of the connection that reads the stream, which is needed to
+     * unblock it when stopping. Connections get a new id when they reconnect.
+     */
+    async _identifyReader() {
+        this.readerId = await this.reader.client('ID');
+    }
+
+    /**
+     * Internal method.
+     * Creates the consumer group and the stream, if they do not exist yet.
+     * New groups only receive entries that are added afterwards.
+     */
+    async _createGroup() {
+        try {
+            await this.client.xgroup('CREATE', this.stream, this.durable.group, '$', 'MKSTREAM');
+        }
+        catch (error) {
+            if (!/^BUSYGROUP/.test(error.message))
+                throw error;
+        }
+    }
+
+    /**
+     * Internal method.
+     * Reads and handles entries of the stream until the subscriber stops.
+     * Starts with the entries that have been delivered to this consumer
+     * before without being acknowledged, like when it has been restarted
+     * or reconnected.
+     */
+    async _read() {
+        let position = '0';
+        while (this.isListening) {
+            if (this.readPending) {
+                this.readPending = false;
+                position = '0';
+            }
+
+            let reply;
+            try {
+                reply = await this.reader.xreadgroup('GROUP', this.durable.group, this.consumer, 'COUNT', this.durable.count,
+                    'BLOCK', blockTimeout, 'STREAMS', this.stream, position);
+            }
+            catch (error) {
+                if (!this.isListening)
+                    break;
+                this._log(this.levels.warning, 'read', `Failed to read stream: ${JSON.stringify(serializeError(error))}`);
+                await sleep(blockTimeout);
+                continue;
+            }
+
+            // Reading from an id returns pending entries, '>' returns new ones
+            const entries = reply ? reply[0][1] : [];
+            if (position !== '>')
+                position = entries.length > 0 ? entries[entries.length - 1][0].toString() : '>';
+
+            for (const [entry, fields] of entries)
+                await this._onEntry(entry.toString(), fields);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Claims entries of consumers that did not acknowledge them within the
+     * claim timeout, like dead ones, and handles them. Entries that have been
+     * delivered too often are acknowledged without handling them again.
+     */
+    async _claim() {
+        const { count } = this.durable;
+        let start = '-';
+        while (this.isListening) {
+            // Pages are read one after another, as the oldest entries may never be acknowledged
+            const pending = await this.client.xpending(this.stream, this.durable.group, start, '+', count);
+            await this._claimPage(pending);
+            if (pending.length < count)
+                break;
+            start = durable.nextId(pending[pending.length - 1][0]);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Claims and handles the expired entries of a page of the pending entries list.
+     */
+    async _claimPage(pending) {
+        const { group, claimTimeout, maxDeliveries } = this.durable;
+        const ids = [];
+        for (const [entry, _, idle, deliveries] of pending) {
+            if (idle < claimTimeout || this.inFlight.has(entry))
+                continue;
+
+            if (deliveries < maxDeliveries) {
+                ids.push(entry);
+                continue;
+            }
+
+            this._log(this.levels.warning, 'claim', `Dropping entry ${entry} after ${deliveries} unsuccessful deliveries.`);
+            await this.client.xack(this.stream, group, entry);
+        }
+        if (ids.length === 0)
+            return;
+
+        // Entries claimed by another consumer in the meantime are skipped. Claiming
+        // counts as delivery, a buffer key makes redis reply with buffers.
+        const claimed = await this.client.xclaim(Buffer.from(this.stream), group, this.consumer, claimTimeout, ids);
+        for (const [entry, fields] of claimed.filter(c => c)) {
+            this._log(this.levels.notice, 'claim', `Claimed pending entry ${entry}.`);
+            await this._onEntry(entry.toString(), fields);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Handles an entry of the stream and acknowledges it, unless the handler
+     * failed. These entries are handled again once claimed.
+     */
+    async _onEntry(entry, fields) {
+        this.inFlight.add(entry);
+        try {
+            // Entries that have been trimmed from the stream are just acknowledged
+            const message = durable.field(fields, 'message');
+            const handled = message === undefined || await this._onMessage(message, this.channelName, this.channels.get(this.channel));
+            if (handled)
+                await this.client.xack(this.stream, this.durable.group, entry);
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'message', `Failed to acknowledge entry ${entry}: ${JSON.stringify(serializeError(error))}`);
+        }
+        finally {
+            this.inFlight.delete(entry);
+        }
+    }
+
     /**
      * Internal method.
      * Parses a message and calls the handler.
-     * Publishes the result to the corresponding result queue.
+     * 
+     * Resolves with false if the handler failed and true otherwise.
      */
-    async _onMessage(m) {
+    async _onMessage(m, channel, subscription) {
         this._log(this.levels.debug, 'message', `Got new message`, m);
 
         // Parse and handle request
-        const { id, message } = messages.parsePubSubMessage(m);
+        let id, message, trace, ack;
         try {
-            const returnValue = this.handle(message);
-            // Turn non promise values into a promise
-            await Promise.resolve(returnValue);
+            ({ id, message, trace, ack } = messages.parsePubSubMessage(m, this.codec));
         }
         catch (error) {
+            // Messages that cannot be parsed will never be handled successfully
+            this._log(this.levels.warning, 'message', `Failed to parse message: ${JSON.stringify(serializeError(error))}`);
+            return true;
+        }
+
+        try {
+            const ctx = { channel, id, message, trace: this.tracer.extract(trace) };
+            await middleware.compose(this.middleware)(ctx, async () => {
+                // Turn non promise values into a promise
+                await Promise.resolve(subscription.handle(ctx.message, { id, channel, trace: ctx.trace }));
+            });
+        }
+        catch (error) {
+            this.metrics.errors.inc({ channel: subscription.channelName });
             this._log(this.levels.warning, 'message', `Message handler threw an error: ${JSON.stringify(serializeError(error))}. Message id: '${id}'`);
+            if (ack)
+                await this._acknowledge(id, false, error);
+            return false;
         }
 
         this._log(this.levels.debug, 'message', `Finished handling message '${id}'`);
+        if (ack)
+            await this._acknowledge(id, true);
+        return true;
+    }
+
+    /**
+     * Internal method.
+     * Reports the outcome of handling a message to the publisher.
+     * Failing to do so is only logged, like for handlers that settle after
+     * the subscriber stopped.
+     */
+    async _acknowledge(id, ok, error) {
+        try {
+            // Subscribed connections cannot publish, so acknowledgements need one of their own.
+            // Stopped subscribers do not open it anymore, as nobody would close it.
+            if (!this.acknowledger) {
+                if (!this.isListening)
+                    return this._log(this.levels.info, 'message', `Not acknowledging message '${id}', as the subscriber has been stopped.`);
+                this.acknowledger = handyRedis.createHandyClient(reconnect.redisOptions(this.redisOptions, this.reconnect));
+                this.acknowledger.redis.on('error', error => this._log(this.levels.warning, 'connection', `Redis connection error: ${JSON.stringify(serializeError(error))}`));
+            }
+            await this.acknowledger.publish(keys.ackChannel(id, this.prefix), messages.composeAck(id, this.id, ok, error));
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'message', `Failed to acknowledge message '${id}': ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Closes the connection for acknowledgements, if there is one.
+     */
+    async _stopAcknowledging() {
+        const acknowledger = this.acknowledger;
+        if (!acknowledger)
+            return;
+
+        this.acknowledger = undefined;
+        try {
+            await acknowledger.quit();
+        }
+        catch (error) {
+            acknowledger.redis.end(false);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Subscribes to all channels and patterns again after reconnecting.
+     */
+    async _resubscribe() {
+        if (!this.isListening)
+            return;
+
+        this._log(this.levels.notice, 'reconnect', 'Reconnected to redis. Subscribing again.');
+        try {
+            await this._command('subscribe', [...this.channels.keys()]);
+            await this._command('psubscribe', [...this.patterns.keys()]);
+        }
+        catch (error) {
+            this._log(this.levels.error, 'reconnect', `Failed to subscribe again: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Returns the name of a pub / sub channel, without the prefix.
+     */
+    _parseChannel(channel) {
+        return channel.toString().slice(keys.pubSubChannel('', this.prefix).length);
     }
 
     _log(level, scope, message) {
         this.logger(level, message, 'subscriber', this.id, scope);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Returns weather a channel name is a pattern, given the options of a call.
+ */
+function resolvePattern(options, pattern) {
+    return options && options.pattern !== undefined ? !!options.pattern : pattern;
+}
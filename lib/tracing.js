@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/**
+ * Tracers propagate the context of distributed traces through the messages.
+ * A tracer is an object with the following methods:
+ * 
+ *  - inject: Gets called by clients and publishers with the `trace` option of
+ *    the request or message, which may be undefined. Returns an object with the
+ *    properties `traceparent` and `tracestate` that is added to the message.
+ *  - extract: Gets called by workers and subscribers with an object with the
+ *    properties `traceparent` and `tracestate` of the message, both of which
+ *    may be undefined. Returns the trace context that is passed to the handler.
+ * 
+ * Both properties follow the W3C Trace Context format.
+ */
+
+const traceparentPattern = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const invalidTraceId = '0'.repeat(32);
+const invalidSpanId = '0'.repeat(16);
+
+/**
+ * Parses a traceparent header.
+ * @param {string} traceparent The traceparent to parse.
+ * @returns {object} An object with the properties version, traceId, spanId and
+ *   flags, or undefined if the traceparent is invalid.
+ */
+function parse(traceparent) {
+    const match = typeof traceparent === 'string' ? traceparentPattern.exec(traceparent) : null;
+    if (!match)
+        return undefined;
+
+    const [, version, traceId, spanId, flags] = match;
+    if (version === 'ff' || traceId === invalidTraceId || spanId === invalidSpanId)
+        return undefined;
+    return { version, traceId, spanId, flags };
+}
+
+/**
+ * Formats a traceparent header.
+ * @param {string} traceId The id of the trace, 32 hex characters.
+ * @param {string} spanId The id of the span, 16 hex characters.
+ * @param {string} flags The trace flags, 2 hex characters. Defaults to `01`, which means sampled.
+ * @returns {string} The traceparent.
+ */
+function format(traceId, spanId, flags) {
+    return `00-${traceId}-${spanId}-${flags || '01'}`;
+}
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * The default tracer, which creates W3C Trace Context ids without recording spans.
+ * 
+ * Injecting continues the trace of the provided context, which may be the trace
+ * context of a handler, or starts a new trace. Extracting creates a span for the
+ * handler, resulting in an object with the properties traceId, spanId, parentId,
+ * flags, traceparent and tracestate. It can be used as `trace` option to continue
+ * the trace in requests of the handler. Messages without valid trace context
+ * result in undefined.
+ */
+const tracer = {
+    inject: function (parent) {
+        const parsed = parent ? parse(parent.traceparent) : undefined;
+        const traceId = parsed ? parsed.traceId : randomId(16);
+        return {
+            traceparent: format(traceId, randomId(8), parsed ? parsed.flags : undefined),
+            tracestate: parsed ? parent.tracestate : undefined
+        };
+    },
+    extract: function (carrier) {
+        const parsed = carrier ? parse(carrier.traceparent) : undefined;
+        if (!parsed)
+            return undefined;
+
+        const spanId = randomId(8);
+        return {
+            traceId: parsed.traceId,
+            spanId,
+            parentId: parsed.spanId,
+            flags: parsed.flags,
+            traceparent: format(parsed.traceId, spanId, parsed.flags),
+            tracestate: carrier.tracestate
+        };
+    }
+};
+
+module.exports.tracer = tracer;
+module.exports.parse = parse;
+module.exports.format = format;
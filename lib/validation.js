@@ -0,0 +1,91 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Schemas describe the data of requests and responses. Supported are:
+ * 
+ *  - Objects with a `safeParse` method, like zod schemas.
+ *  - Objects with a `validate` method that returns `{ error, value }`, like joi schemas.
+ *  - Methods that return `true` for valid values and `false` otherwise, like validators
+ *    compiled by ajv. Errors are taken from their `errors` property. Methods may also
+ *    throw an error for invalid values.
+ */
+
+/**
+ * Turns a path into a string like `user.address.0`.
+ */
+function formatPath(path) {
+    if (Array.isArray(path))
+        return path.join('.');
+    return path ? String(path).replace(/^\//, '').replace(/\//g, '.') : '';
+}
+
+/**
+ * Creates a detail of a validation error.
+ */
+function detail(path, message) {
+    return { path: formatPath(path), message: String(message) };
+}
+
+/**
+ * Validates a value against a schema.
+ * 
+ * Returns the value, which may have been transformed by the schema.
+ * Throws an array of details otherwise.
+ */
+function check(schema, value) {
+    if (typeof schema.safeParse === 'function') {
+        const result = schema.safeParse(value);
+        if (result.success)
+            return result.data;
+        throw result.error.issues.map(i => detail(i.path, i.message));
+    }
+
+    if (typeof schema.validate === 'function') {
+        const result = schema.validate(value);
+        if (!result.error)
+            return result.value;
+        throw (result.error.details || [result.error]).map(d => detail(d.path, d.message));
+    }
+
+    if (typeof schema === 'function') {
+        let valid;
+        try {
+            valid = schema(value);
+        }
+        catch (error) {
+            throw [detail('', error.message)];
+        }
+        if (valid !== false)
+            return value;
+
+        const errors = schema.errors || [];
+        throw errors.length > 0
+            ? errors.map(e => detail(e.instancePath || e.dataPath, e.message))
+            : [detail('', 'Invalid value')];
+    }
+
+    throw new Error('Unsupported schema');
+}
+
+/**
+ * Creates a method that validates values against a schema.
+ * @param {any} schema The schema to validate against. If not set, all values are valid.
+ * @param {string} target What is validated, either `request` or `response`.
+ * @returns {function} A method that takes a value and returns it, possibly
+ *   transformed by the schema. Throws a `ValidationError` if the value is invalid.
+ */
+module.exports.createValidator = function (schema, target) {
+    if (!schema)
+        return value => value;
+
+    return value => {
+        try {
+            return check(schema, value);
+        }
+        catch (details) {
+            if (details instanceof Error)
+                throw details;
+            throw new ValidationError(target, details);
+        }
+    };
+}
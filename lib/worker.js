@@ -5,6 +5,23 @@ const { serializeError } = require('serialize-error');
 const keys = require('./keys');
 const messages = require('./messages');
 const defaults = require('./defaults');
+const scripts = require('./scripts');
+const abort = require('./abort');
+const priorities = require('./priorities');
+const rpc = require('./rpc');
+const validation = require('./validation');
+const middleware = require('./middleware');
+const metrics = require('./metrics');
+const workerRegistry = require('./workerRegistry');
+const reconnect = require('./reconnect');
+const clock = require('./clock');
+
+// Passing a buffer as argument makes redis reply with a buffer, as requests may be binary
+const bufferReply = Buffer.alloc(0);
+
+function isAsyncIterable(value) {
+    return value !== null && value !== undefined && typeof value[Symbol.asyncIterator] === 'function';
+}
 
 module.exports = class Worker {
 
@@ -15,34 +32,112 @@ module.exports = class Worker {
      * @param handle The method that will be called when receiving requests.
      *   It should return a promise that resolves to the result. If it rejects,
      *   the error provided will be transmitted to the client where the request
-     *   will be rejected with the same error.
+     *   will be rejected with the same error. Besides the data of the request
+     *   it receives a context with the properties `id`, `metadata`, as provided
+     *   by the client, `trace`, the trace context extracted by the tracer,
+     *   `signal`, an `AbortSignal` that gets aborted when the client cancels
+     *   the request, `emit`, a method to send parts of the response as chunks,
+     *   and `progress`, a method to report the progress of the request to the
+     *   client. Instead of emitting chunks, the handler may also return an
+     *   async iterable.
+     *   Instead of a single method, an object that maps names to methods may
+     *   be provided, which can be called by requests of the form
+     *   `{ method, args }`. See `rpc` for more details.
      * @param options Advanced options to configure the worker. Available options are:
      * 
      *  - redis
      *  - logger
      *  - levels
+     *  - concurrency
+     *  - reliable
+     *  - leaseTimeout
+     *  - idempotencyTtl
+     *  - deadLetter
+     *  - codec
+     *  - schema
+     *  - metrics
+     *  - tracer
+     *  - heartbeatInterval
+     *  - reconnect
+     *  - onStateChange
      *  
      *  See `defaults` for more details on these options.
      */
     constructor(queue, handle, options) {
         this.id = uniqid();
-        this.handle = handle;
+        this.handle = typeof handle === 'function' ? handle : rpc.createHandler(handle);
         this.queueName = queue;
         const o = defaults.apply(options);
         this.logger = o.logger;
         this.levels = o.levels;
         this.redisOptions = o.redis;
         this.prefix = this.redisOptions ? this.redisOptions.prefix || '' : '';
+        this.concurrency = o.concurrency;
+        this.expired = 0; // Amount of requests that have been dropped as the client already timed out
+        this.clockOffset = 0; // Difference between the clock of the redis server and the local one
+        this.handled = 0; // Amount of requests that have been handled
+        this.heartbeatInterval = o.heartbeatInterval;
+        this.reliable = o.reliable;
+        this.leaseTimeout = o.leaseTimeout;
+        this.idempotencyTtl = o.idempotencyTtl;
+        this.deadLetter = o.deadLetter;
+        this.codec = o.codec;
+        this.tracer = o.tracer;
+        this.reconnect = reconnect.options(o.reconnect);
+        this.monitor = new reconnect.Monitor((level, scope, message) => this._log(level, scope, message), this.levels, o.onStateChange);
+        const schema = o.schema || {};
+        this.validateRequest = validation.createValidator(schema.request, 'request');
+        this.validateResponse = validation.createValidator(schema.response, 'response');
+        this.middleware = [];
+        const registry = metrics.resolve(o.metrics);
+        this.metrics = {
+            handlerDuration: registry.histogram('rrb_worker_handler_duration_seconds', 'Time workers spent handling requests.', ['queue']),
+            queueWait: registry.histogram('rrb_worker_queue_wait_seconds', 'Time requests waited in the queue before being handled.', ['queue']),
+            queueLength: registry.gauge('rrb_worker_queue_length', 'Amount of queued requests, sampled by workers.', ['queue'])
+        };
 
         // Build queue names
         this.requestQueue = keys.requestQueue(queue);
+        this.requestQueues = priorities.names.map(p => keys.requestQueue(queue, p)); // Ordered by priority
         this.requestChannel = keys.requestChannel(queue, this.prefix);
+        this.processingLists = priorities.names.map(p => keys.processingList(queue, this.id, p)); // Ordered like the queues
+        this.lease = keys.workerLease(queue, this.id);
+        this.processingWorkers = keys.processingWorkers(queue);
+        this.deadLetterQueue = keys.deadLetterQueue(queue);
 
         this._log(this.levels.debug, 'constructor', `Initialized new worker.`);
         this._log(this.levels.debug, 'constructor', `Request queue: '${this.requestQueue}'.`);
         this._log(this.levels.debug, 'constructor', `Request channel: '${this.requestChannel}'.`);
     }
 
+    /**
+     * Adds a middleware that wraps the handling of requests. It gets called with
+     * a context and the method `next`, which calls the next middleware and finally
+     * the handler. The context has the following properties:
+     * 
+     *  - queue: The name of the queue.
+     *  - data: The data of the request, which is passed to the handler.
+     *  - context: The context that is passed to the handler.
+     *  - response: The response of the handler, once `next` resolved.
+     * 
+     * Middleware may change the data before calling `next` and the response
+     * afterwards. Errors thrown by the handler are thrown by `next`.
+     * @param {function} fn The middleware.
+     * @returns {Worker} The worker, so that calls can be chained.
+     */
+    use(fn) {
+        this.middleware.push(middleware.check(fn));
+        return this;
+    }
+
+    /**
+     * The state of the redis connections of the worker, either `stopped`,
+     * `connecting`, `connected`, `reconnecting` or `failed`.
+     */
+    get state() {
+        return this.monitor.state;
+    }
+
     /**
      * Start listening to the request channel for requests.
      * 
@@ -55,19 +150,29 @@ module.exports = class Worker {
     async listen() {
         this._log(this.levels.info, 'listen', 'Starting to listen for requestts.');
         this.isListening = true;
-        this.isWorking = false;
+        this.isShuttingDown = false;
+        this.working = 0; // Amount of requests that are currently handled
+        this.running = new Map(); // Maps ids of running requests to their abort controllers
 
         // Create clients for publishing and listening.
         // Redis does not allow interacting with the pub sub system while doing anything else
         // So the subscriber is there to listen to the request channel, while the publisher
         // is interacting with everything else.
-        this.subscriber = redis.createHandyClient(this.redisOptions);
-        this.publisher = redis.createHandyClient(this.redisOptions);
+        // Subscribing again after reconnecting is done by the worker, before catching up with the queue
+        this.subscriber = redis.createHandyClient(reconnect.redisOptions(this.redisOptions, this.reconnect, { disable_resubscribing: true }));
+        this.publisher = redis.createHandyClient(reconnect.redisOptions(this.redisOptions, this.reconnect, { detect_buffers: true }));
+        this.monitor.watch(this.subscriber.redis, () => this._onReconnect(true));
+        this.monitor.watch(this.publisher.redis, () => this._onReconnect(false));
 
         // Register listener and start listeing
-        this.subscriber.redis.on('message', (_, message) => this._onMessage(message));
+        this.subscriber.redis.on('message', (_, message) => this._onNotification(message));
         try {
+            this.clockOffset = await clock.offset(this.publisher);
+            if (this.reliable)
+                await this._startReliable();
+
             await this.subscriber.subscribe(this.requestChannel);
+            await this._startHeartbeat();
             await this._checkQueue();
         }
         catch (error) {
@@ -100,8 +205,8 @@ module.exports = class Worker {
                 this._log(this.levels.warning, 'stop', 'Failed to unsubscribe from request channel. Trying to continue with shutdown.');
             }
 
-            if (this.isWorking) {
-                this._log(this.levels.info, 'stop', 'Waiting for current task to finish.');
+            if (this.working > 0) {
+                this._log(this.levels.info, 'stop', `Waiting for ${this.working} running task(s) to finish.`);
                 return;
             }
 
@@ -115,8 +220,18 @@ module.exports = class Worker {
      * Uses a promise created by the stop method.
      */
     async _shutdown() {
+        // The last running task and the stop method might both trigger the shutdown
+        if (this.isShuttingDown)
+            return;
+
+        this.isShuttingDown = true;
         this._log(this.levels.info, 'shutdown', 'Shutting down now.');
 
+        await this._stopHeartbeat();
+        if (this.reliable)
+            await this._stopReliable();
+        this.monitor.clear();
+
         // Quit publisher
         try {
             await this.publisher.quit();
@@ -135,6 +250,38 @@ module.exports = class Worker {
         }
     }
 
+    /**
+     * Internal method.
+     * Gets called for every notification on the request channel.
+     * Notifications either announce a new request or cancel a running one.
+     */
+    _onNotification(message) {
+        let notification;
+        try {
+            notification = messages.parseNotification(message);
+        }
+        catch (error) {
+            return this._log(this.levels.warning, 'notification', `Failed to parse notification: ${message}`);
+        }
+
+        if (notification.type === 'request')
+            return this._onMessage();
+
+        if (notification.type === 'broadcast')
+            return this._onBroadcast(notification.request);
+
+        if (notification.type === 'cancel') {
+            const controller = this.running.get(notification.id);
+            if (!controller)
+                return;
+
+            this._log(this.levels.info, 'notification', `Request '${notification.id}' has been cancelled by the client.`);
+            return controller.abort();
+        }
+
+        this._log(this.levels.debug, 'notification', `Ignoring unknown notification type '${notification.type}'.`);
+    }
+
     /**
      * Internal method.
      * Gets called, when there is a request in the request queue.
@@ -144,14 +291,21 @@ module.exports = class Worker {
     async _onMessage() {
         this._log(this.levels.debug, 'message', 'Got new request');
 
-        // If shutting down or already working ignore the message
-        if (!this.isListening || this.isWorking)
-            return this._log(this.levels.debug, 'message', `Will not handle request. isListening:${this.isListening}, isWorking:${this.isWorking}.`);
+        // If shutting down or all slots are taken ignore the message
+        if (!this.isListening || this.working >= this.concurrency)
+            return this._log(this.levels.debug, 'message', `Will not handle request. isListening:${this.isListening}, working:${this.working}/${this.concurrency}.`);
 
         // Try to get the request
-        this.isWorking = true;
+        this.working++;
+        let handled = false;
+        let message;
+        let priority; // The index of the priority of requests taken in reliable mode
+        let acknowledge = true; // Requests that could not be answered are requeued
         try {
-            const message = await this.publisher.lpop(this.requestQueue);
+            if (this.reliable)
+                [message, priority] = await this.publisher.eval(scripts.popReliable, this.requestQueues.length * 2, [...this.requestQueues, ...this.processingLists], [bufferReply]) || [];
+            else
+                message = await this.publisher.eval(scripts.pop, this.requestQueues.length, this.requestQueues, [bufferReply]);
 
             // If there is no message, somebody else got it
             if (!message) {
@@ -160,58 +314,520 @@ module.exports = class Worker {
             }
 
             // Parse and handle request
-            const { id, data } = messages.parseRequest(message);
-            const responseMessage = await this._handleMessage(id, data);
-
+            let request;
             try {
-                const received = await this.publisher.publish(keys.responseChannel(id, this.prefix), responseMessage);
-                if (!received)
-                    this._log(this.levels.warning, 'message', `Response has not been received by client. Message id: ${id}.`);
-            } catch (error) {
-                this._log(this.levels.error, 'message', `Cannot send response to client. Message id: ${id}, Error: ${JSON.stringify(serializeError(error))}.`);
+                request = messages.parseRequest(message, this.codec);
+            }
+            catch (error) {
+                this._log(this.levels.warning, 'message', `Failed to parse request: ${message}`);
+                return await this._addToDeadLetterQueue(message, error);
             }
 
-            this._log(this.levels.debug, 'message', `Finished handling message.`);
+            const { id, sent } = request;
+            if (sent)
+                this.metrics.queueWait.observe({ queue: this.queueName }, this._waited(sent) / 1000);
 
-            // Check if worker was shut down during request
-            if (!this.isListening) {
-                this._log(this.levels.notice, 'message', 'Shutdown has been triggered during work.')
-                return this._shutdown();
+            if (this._isExpired(request)) {
+                this.expired++;
+                this._log(this.levels.notice, 'message', `Dropping request as the client already timed out. Message id: ${id}. Expired requests: ${this.expired}.`);
+                return;
             }
+
+            const responseMessage = await this._track(id, controller => this._handleMessage(message, request, controller));
+            handled = true;
+            this.handled++;
+
+            // Nobody is waiting for the response of cancelled requests
+            if (responseMessage === undefined)
+                this._log(this.levels.debug, 'message', `Not sending a response for cancelled request. Message id: ${id}.`);
+            else
+                acknowledge = await this._respond(id, responseMessage);
+
+            this._log(this.levels.debug, 'message', `Finished handling message.`);
         }
         catch (error) {
             this._log(this.levels.warning, 'message', `Unknown error during message handling: ${JSON.stringify(serializeError(error))}`);
         }
         finally {
-            this.isWorking = false;
-            if (this.isListening)
-                await this._checkQueue();
+            if (this.reliable && message)
+                await (acknowledge ? this._acknowledge(message, priority) : this._requeue(message, priority));
+            await this._finishWork(handled);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Gets called for requests that have been broadcasted to all workers of the queue.
+     * Broadcasts do not go through the request queue, so they are handled right
+     * away, even if all slots are taken, and are neither stored in the dead letter
+     * queue nor for idempotency keys.
+     * Publishes the result together with the id of the worker.
+     */
+    async _onBroadcast(message) {
+        this._log(this.levels.debug, 'broadcast', 'Got new broadcast request');
+        if (!this.isListening)
+            return;
+
+        this.working++;
+        let handled = false;
+        try {
+            const request = messages.parseRequest(message, this.codec);
+            const { id, codec } = request;
+            if (this._isExpired(request)) {
+                this.expired++;
+                this._log(this.levels.notice, 'broadcast', `Dropping broadcast as the client already timed out. Message id: ${id}. Expired requests: ${this.expired}.`);
+                return;
+            }
+
+            const { aborted, response, error } = await this._track(id, controller => this._execute(Object.assign(request, { stream: false }), controller));
+            handled = true;
+            if (aborted)
+                return this._log(this.levels.debug, 'broadcast', `Not sending a response for cancelled broadcast. Message id: ${id}.`);
+
+            await this._respond(id, error
+                ? messages.composeBroadcastResponse(id, this.id, false, error, codec)
+                : messages.composeBroadcastResponse(id, this.id, true, response, codec));
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'broadcast', `Unknown error during broadcast handling: ${JSON.stringify(serializeError(error))}`);
+        }
+        finally {
+            await this._finishWork(handled);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Returns the time in ms that passed since a request has been sent, measured
+     * in the clock of the redis server, as the clock of the client may differ.
+     */
+    _waited(sent) {
+        return Math.max(Date.now() + this.clockOffset - sent, 0);
+    }
+
+    /**
+     * Internal method.
+     * Checks weather the client of a request already timed out. Requests of
+     * older clients carry an absolute deadline instead of a ttl.
+     */
+    _isExpired({ ttl, sent, deadline }) {
+        if (ttl !== undefined && sent !== undefined)
+            return this._waited(sent) > ttl;
+        return !!deadline && deadline < Date.now();
+    }
+
+    /**
+     * Internal method.
+     * Frees the slot of a finished request. Then either looks for the next
+     * request or completes the shutdown, if it has been triggered during work.
+     */
+    async _finishWork(handled) {
+        this.working--;
+
+        // Check if worker was shut down during request
+        if (this.isListening)
+            await this._checkQueue();
+        else if (this.working === 0) {
+            if (handled)
+                this._log(this.levels.notice, 'message', 'Shutdown has been triggered during work.');
+            await this._shutdown();
+        }
+    }
+
+    /**
+     * Internal method.
+     * Stores a request that could not be handled in the dead letter queue,
+     * if enabled, together with the error, the id of the worker and a timestamp.
+     */
+    async _addToDeadLetterQueue(message, error) {
+        if (!this.deadLetter)
+            return;
+
+        try {
+            await this.publisher.rpush(this.deadLetterQueue, messages.composeDeadLetter(uniqid(), message, error, this.id));
+            this._log(this.levels.info, 'dead_letter', 'Added failed request to the dead letter queue.');
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'dead_letter', `Failed to add request to the dead letter queue: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Gets the stored response of a request that has been handled before.
+     * 
+     * Resolves with the parsed response or undefined if there is none.
+     */
+    async _getStoredResponse(idempotencyKey) {
+        try {
+            // Like requests, stored responses may be binary
+            const stored = await this.publisher.get(Buffer.from(keys.idempotencyKey(this.queueName, idempotencyKey)));
+            return stored ? messages.parseResponse(stored, this.codec) : undefined;
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'message', `Failed to get stored response. Handling request again. Error: ${JSON.stringify(serializeError(error))}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Internal method.
+     * Stores the response of a successfully handled request for the idempotency ttl.
+     */
+    async _storeResponse(idempotencyKey, id, response, codec) {
+        try {
+            const key = keys.idempotencyKey(this.queueName, idempotencyKey);
+            await this.publisher.set(key, messages.composeResponse(id, response, codec), ['PX', this.idempotencyTtl]);
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'message', `Failed to store response. Retries will be handled again. Error: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Publishes a response to the response channel of the request.
+     * 
+     * Resolves with false if the response could not be send, true otherwise.
+     */
+    async _respond(id, responseMessage) {
+        try {
+            const received = await this.publisher.publish(keys.responseChannel(id, this.prefix), responseMessage);
+            if (!received)
+                this._log(this.levels.warning, 'message', `Response has not been received by client. Message id: ${id}.`);
+            return true;
+        } catch (error) {
+            this._log(this.levels.error, 'message', `Cannot send response to client. Message id: ${id}, Error: ${JSON.stringify(serializeError(error))}.`);
+            return false;
         }
     }
 
     /**
      * Calls the provided handle method and returns either an
-     * error response or a normal one.
-     * @param {*} data 
+     * error response or a normal one. Returns undefined if the
+     * request has been cancelled while handling it.
+     * 
+     * The response may consist of chunks that are emitted by the handler or
+     * yielded by an async iterable it returns. For streamed requests these
+     * chunks are published right away and the returned message marks the end
+     * of the stream. For all other requests the chunks are collected and
+     * responded as array.
+     * 
+     * Requests with an idempotency key that already have been handled
+     * successfully are answered with the stored response.
+     * 
+     * Responses use the codec of the request, so that clients can
+     * switch codecs independently of the workers.
+     * @param {string} message The raw request message
+     * @param {object} request The parsed request message
+     * @param {object} controller The abort controller of the request
+     */
+    async _handleMessage(message, request, controller) {
+        const { id, stream, codec } = request;
+        const idempotencyKey = stream ? undefined : request.idempotencyKey; // Streams are not stored
+        if (idempotencyKey) {
+            const stored = await this._getStoredResponse(idempotencyKey);
+            if (stored) {
+                this._log(this.levels.info, 'message', `Request '${id}' has already been handled. Sending stored response.`);
+                return messages.composeResponse(id, stored.response, codec);
+            }
+        }
+
+        const { aborted, response, error: responseError, chunks } = await this._execute(request, controller);
+        if (aborted)
+            return undefined;
+
+        if (idempotencyKey && !responseError)
+            await this._storeResponse(idempotencyKey, id, response, codec);
+
+        if (responseError) {
+            // Clients retry transient errors, so the request may still succeed
+            if (responseError.transient !== true)
+                await this._addToDeadLetterQueue(message, responseError);
+            return messages.composeError(id, responseError, codec);
+        }
+
+        return stream
+            ? messages.composeEnd(id, chunks, codec)
+            : messages.composeResponse(id, response, codec);
+    }
+
+    /**
+     * Internal method.
+     * Calls the provided handle method with the data of a request.
+     * 
+     * Resolves with an object containing the properties response and error,
+     * which is null if the handler succeeded, aborted, which tells weather the
+     * request has been cancelled while handling it, and chunks, the amount of
+     * chunks that have been emitted. Chunks of requests that are not streamed
+     * are collected and make up the response.
      */
-    async _handleMessage(id, data) {
+    async _execute(request, controller) {
+        const { id, data, metadata, stream, codec } = request;
         let response;
         let responseError = null;
+        const emitter = this._createEmitter(id, stream, codec);
         try {
-            response = await this.handle(data);
+            const trace = this.tracer.extract(request.trace);
+            const context = { id, metadata, trace, signal: controller.signal, emit: emitter.emit, progress: emitter.progress };
+            const ctx = { queue: this.queueName, data, context, response: undefined };
+            const elapsed = metrics.timer();
+            try {
+                await middleware.compose(this.middleware)(ctx, async () => {
+                    // Requests may have been cancelled before reaching the handler
+                    if (controller.signal.aborted)
+                        return this._log(this.levels.debug, 'message', `Not calling the handler for cancelled request '${id}'.`);
+                    ctx.response = await this.handle(this.validateRequest(ctx.data), ctx.context);
+                });
+            }
+            finally {
+                this.metrics.handlerDuration.observe({ queue: this.queueName }, elapsed());
+            }
+            response = ctx.response;
+            if (isAsyncIterable(response)) {
+                for await (const chunk of response) {
+                    if (controller.signal.aborted)
+                        break;
+                    await emitter.emit(chunk);
+                }
+                response = undefined;
+            }
+
+            // A returned value is the last chunk, if there are chunks at all
+            if (response !== undefined && (stream || emitter.count > 0))
+                await emitter.emit(response);
+            await emitter.flush();
+
+            if (!stream && emitter.count > 0)
+                response = emitter.chunks;
+            if (!stream)
+                response = this._validateResponse(id, response);
         }
         catch (error) {
             responseError = error;
         }
 
-        return responseError
-            ? messages.composeError(id, responseError)
-            : messages.composeResponse(id, response);
+        return { aborted: controller.signal.aborted, response, error: responseError, chunks: emitter.count };
     }
 
     /**
      * Internal method.
-     * Checks weather there is a waiting request and queus to handle it if so.
+     * Creates the abort controller of a request and passes it to the given
+     * method. The controller is registered right away, so that cancel notices
+     * that arrive before the handler has been called are not lost.
+     */
+    async _track(id, run) {
+        const controller = abort.createController();
+        this.running.set(id, controller);
+        try {
+            return await run(controller);
+        }
+        finally {
+            this.running.delete(id);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Validates the response of a handler against the response schema.
+     * Invalid responses are logged, as they indicate a bug of the handler.
+     * 
+     * Returns the response. Throws a `ValidationError` if it is invalid.
+     */
+    _validateResponse(id, response) {
+        try {
+            return this.validateResponse(response);
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'message', `Handler returned an invalid response for request '${id}': ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Internal method.
+     * Creates the emitter for the chunks of a response. Chunks of streamed
+     * requests are published in order, chunks of other requests are collected.
+     * Progress notifications are published in order with the chunks.
+     * 
+     * The emit method resolves once the chunk has been published.
+     * The flush method resolves once all chunks have been published.
+     * Both reject if a chunk could not be published.
+     * The progress method resolves once the notification has been published.
+     * As progress is informative only, it never rejects.
+     */
+    _createEmitter(id, stream, codec) {
+        let published = Promise.resolve();
+        const emitter = {
+            count: 0,
+            chunks: [],
+            emit: chunk => {
+                if (!stream) {
+                    emitter.chunks.push(chunk);
+                    emitter.count++;
+                    return Promise.resolve();
+                }
+
+                const message = messages.composeChunk(id, emitter.count++, chunk, codec);
+                published = published.then(() => this.publisher.publish(keys.responseChannel(id, this.prefix), message));
+                return published;
+            },
+            progress: value => {
+                const message = messages.composeProgress(id, value, codec);
+                const notified = published.then(() => this.publisher.publish(keys.responseChannel(id, this.prefix), message))
+                    .then(() => undefined, error => this._log(this.levels.warning, 'message', `Failed to send progress of request '${id}': ${JSON.stringify(serializeError(error))}`));
+                published = published.then(() => notified);
+                return notified;
+            },
+            flush: () => published
+        };
+        return emitter;
+    }
+
+    /**
+     * Requeues requests held by workers of the same queue whose lease has expired.
+     * Only does something useful for workers running in reliable mode. This is
+     * called periodically while the worker is listening.
+     * 
+     * Resolves with the amount of recovered requests.
+     * Rejects with an error if anything went wrong.
+     */
+    async recover() {
+        const recovered = await workerRegistry.recoverAll(this.publisher, this.queueName, this.prefix, this.id);
+        for (const { workerId, count } of recovered)
+            this._log(this.levels.notice, 'recover', `Recovered ${count} request(s) of worker '${workerId}'.`);
+        return recovered.reduce((sum, { count }) => sum + count, 0);
+    }
+
+    /**
+     * Internal method.
+     * Registers the worker and starts sending heartbeats, so that it is
+     * known to be alive.
+     */
+    async _startHeartbeat() {
+        this.startedAt = Date.now();
+        await this._heartbeat();
+        // Running heartbeats are kept, as stopping has to wait for them
+        this.heartbeatTimer = setInterval(() => this.heartbeating = this._heartbeat()
+            .catch(error => this._log(this.levels.warning, 'heartbeat', `Failed to send heartbeat: ${JSON.stringify(serializeError(error))}`)),
+            this.heartbeatInterval);
+    }
+
+    /**
+     * Internal method.
+     * Stops sending heartbeats and removes the worker from the registry.
+     * A heartbeat that is still running would register the worker again,
+     * so it is awaited first.
+     */
+    async _stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        await this.heartbeating;
+        try {
+            await workerRegistry.unregister(this.publisher, this.queueName, this.id);
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'shutdown', `Failed to unregister worker. It will expire. Error: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Sends a heartbeat containing the status of the worker. Workers that miss
+     * three heartbeats are considered dead.
+     */
+    async _heartbeat() {
+        await workerRegistry.heartbeat(this.publisher, {
+            id: this.id,
+            queue: this.queueName,
+            startedAt: this.startedAt,
+            status: this.working > 0 ? 'busy' : 'idle',
+            handled: this.handled
+        }, this.heartbeatInterval * 3);
+    }
+
+    /**
+     * Internal method.
+     * Takes the lease, registers the processing list and starts the timers for
+     * renewing the lease and recovering requests of dead workers.
+     */
+    async _startReliable() {
+        // The lease has to exist before registering, otherwise it might get recovered right away
+        await this._renewLease();
+        this.leaseTimer = setInterval(() => this._renewLease()
+            .catch(error => this._log(this.levels.warning, 'lease', `Failed to renew lease: ${JSON.stringify(serializeError(error))}`)),
+            Math.floor(this.leaseTimeout / 3));
+        this.recoveryTimer = setInterval(() => this.recover()
+            .catch(error => this._log(this.levels.warning, 'recover', `Failed to recover requests: ${JSON.stringify(serializeError(error))}`)),
+            this.leaseTimeout);
+        await this.recover();
+    }
+
+    /**
+     * Internal method.
+     * Stops the timers, gives up the lease and requeues all requests that are
+     * still in the processing list.
+     */
+    async _stopReliable() {
+        clearInterval(this.leaseTimer);
+        clearInterval(this.recoveryTimer);
+        try {
+            await this.publisher.del(this.lease);
+            const count = await workerRegistry.recover(this.publisher, this.queueName, this.id);
+            if (count > 0) {
+                this._log(this.levels.notice, 'shutdown', `Requeued ${count} unfinished request(s).`);
+                await this.publisher.publish(this.requestChannel, '');
+            }
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'shutdown', `Failed to release processing list. It will be recovered once the lease expired. Error: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Renews the lease of the worker and makes sure its processing list is registered.
+     */
+    async _renewLease() {
+        await this.publisher.set(this.lease, this.id, ['PX', this.leaseTimeout]);
+        await this.publisher.sadd(this.processingWorkers, this.id);
+    }
+
+    /**
+     * Internal method.
+     * Removes a request from the processing list once it has been handled.
+     * @param message The request message.
+     * @param {number} priority The index of the priority the request has been taken with.
+     */
+    async _acknowledge(message, priority) {
+        try {
+            await this.publisher.lrem(this.processingLists[priority], 1, message);
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'message', `Failed to acknowledge request. It might be handled again. Error: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Moves a request from the processing list back into the request queue, as
+     * its response could not be sent, so that it gets handled again.
+     * @param message The request message.
+     * @param {number} priority The index of the priority the request has been taken with.
+     */
+    async _requeue(message, priority) {
+        try {
+            await this.publisher.eval(scripts.requeue, 2, [this.processingLists[priority], this.requestQueues[priority]], [message, message]);
+            await this.publisher.publish(this.requestChannel, '');
+        }
+        catch (error) {
+            this._log(this.levels.warning, 'message', `Failed to requeue request. It will be recovered once the worker stopped. Error: ${JSON.stringify(serializeError(error))}`);
+        }
+    }
+
+    /**
+     * Internal method.
+     * Checks weather there are waiting requests and starts handling
+     * as many of them as there are free slots.
      * 
      * Rejects with an error if any occured. Resolves otherwise.
      */
@@ -219,17 +835,39 @@ module.exports = class Worker {
         this._log(this.levels.debug, 'check_queue', 'Checking request queue for open requests.');
 
         try {
-            const hasRequests = await this.publisher.llen(this.requestQueue);
-            if (this.isWorking || !hasRequests)
-                return;
-
-            this._onMessage();
+            const lengths = await Promise.all(this.requestQueues.map(q => this.publisher.llen(q)));
+            const queued = lengths.reduce((sum, length) => sum + length, 0);
+            this.metrics.queueLength.set({ queue: this.queueName }, queued);
+            const slots = Math.min(queued, this.concurrency - this.working);
+            for (let i = 0; i < slots; i++)
+                this._onMessage();
         }
         catch (error) {
             this._log(this.levels.warning, 'check_queue', 'Failed to check request queue. Requests may time out.');
         }
     }
 
+    /**
+     * Internal method.
+     * Subscribes to the request channel again after the subscriber reconnected
+     * and checks the queue for requests that have been queued in the meantime,
+     * as their notifications have been missed.
+     */
+    async _onReconnect(resubscribe) {
+        if (!this.isListening)
+            return;
+
+        this._log(this.levels.notice, 'reconnect', 'Reconnected to redis. Catching up with the request queue.');
+        try {
+            if (resubscribe)
+                await this.subscriber.subscribe(this.requestChannel);
+        }
+        catch (error) {
+            this._log(this.levels.error, 'reconnect', `Failed to subscribe to the request channel again: ${JSON.stringify(serializeError(error))}`);
+        }
+        await this._checkQueue();
+    }
+
     _log(level, scope, message) {
         this.logger(level, message, 'worker', this.id, scope);
     }
@@ -0,0 +1,126 @@
+const os = require('os');
+
+const keys = require('./keys');
+const scripts = require('./scripts');
+const priorities = require('./priorities');
+
+/**
+ * Workers register themselves by sending heartbeats, so that clients and
+ * admins can see which workers are alive. Every worker has a hash with
+ * information about it, which expires if the worker stops sending heartbeats,
+ * and its id is stored in a set per queue.
+ * 
+ * Workers running in reliable mode also register their processing lists,
+ * which are requeued once their lease expired.
+ * 
+ * All methods take a handy-redis client as first argument.
+ */
+
+/**
+ * Sends a heartbeat for a worker.
+ * @param {object} redis The redis client to use.
+ * @param {object} worker An object with the properties id, queue, startedAt,
+ *   status and handled.
+ * @param {number} ttl The time in ms after which the worker is considered dead
+ *   without another heartbeat.
+ */
+module.exports.heartbeat = async function (redis, worker, ttl) {
+    const key = keys.workerInfo(worker.queue, worker.id);
+    await redis.eval(scripts.heartbeat, 2, [key, keys.workerRegistry(worker.queue)], [
+        ttl,
+        worker.id,
+        'id', worker.id,
+        'queue', worker.queue,
+        'host', os.hostname(),
+        'pid', process.pid,
+        'startedAt', worker.startedAt,
+        'heartbeatAt', Date.now(),
+        'status', worker.status,
+        'handled', worker.handled
+    ]);
+}
+
+/**
+ * Removes a worker from the registry.
+ * @param {object} redis The redis client to use.
+ * @param {string} queue The name of the queue.
+ * @param {string} workerId The id of the worker.
+ */
+module.exports.unregister = async function (redis, queue, workerId) {
+    await redis.srem(keys.workerRegistry(queue), workerId);
+    await redis.del(keys.workerInfo(queue, workerId));
+}
+
+/**
+ * Gets the live workers of a queue. Removes workers whose information
+ * expired from the registry.
+ * @param {object} redis The redis client to use.
+ * @param {string} queue The name of the queue.
+ * @returns {Promise<object[]>} The information about the workers, with the
+ *   properties id, queue, host, pid, startedAt, heartbeatAt, status and handled.
+ */
+module.exports.workers = async function (redis, queue) {
+    const ids = await redis.smembers(keys.workerRegistry(queue));
+    const infos = await Promise.all(ids.map(id => redis.hgetall(keys.workerInfo(queue, id))));
+
+    const dead = ids.filter((_, i) => !infos[i]);
+    if (dead.length > 0)
+        await redis.srem(keys.workerRegistry(queue), dead);
+
+    return infos.filter(info => info).map(info => ({
+        id: info.id,
+        queue: info.queue,
+        host: info.host,
+        pid: Number(info.pid),
+        startedAt: Number(info.startedAt),
+        heartbeatAt: Number(info.heartbeatAt),
+        status: info.status,
+        handled: Number(info.handled)
+    }));
+}
+
+/**
+ * Moves the processing lists of a worker running in reliable mode back to the
+ * request queues of the same priority, if its lease has expired.
+ * @param {object} redis The redis client to use.
+ * @param {string} queue The name of the queue.
+ * @param {string} workerId The id of the worker.
+ * @returns {Promise<number>} The amount of recovered requests or -1 if the
+ *   worker is alive.
+ */
+module.exports.recover = async function (redis, queue, workerId) {
+    return redis.eval(scripts.recover, priorities.names.length * 2 + 2, [
+        keys.workerLease(queue, workerId),
+        keys.processingWorkers(queue),
+        ...priorities.names.map(p => keys.processingList(queue, workerId, p)),
+        ...priorities.names.map(p => keys.requestQueue(queue, p))
+    ], [workerId]);
+}
+
+/**
+ * Recovers the processing lists of all dead workers of a queue and notifies
+ * the workers of the queue if any requests have been recovered.
+ * @param {object} redis The redis client to use.
+ * @param {string} queue The name of the queue.
+ * @param {string} prefix The key prefix, as channel names are not prefixed by redis.
+ * @param {string} except The id of a worker to skip, like the calling one.
+ * @returns {Promise<object[]>} The workers whose requests have been recovered,
+ *   with the properties workerId and count.
+ */
+module.exports.recoverAll = async function (redis, queue, prefix, except) {
+    const recovered = [];
+    for (const workerId of await redis.smembers(keys.processingWorkers(queue))) {
+        if (workerId === except)
+            continue;
+
+        const count = await module.exports.recover(redis, queue, workerId);
+        if (count > 0)
+            recovered.push({ workerId, count });
+    }
+
+    // Let workers know that there is something to do
+    if (recovered.length > 0)
+        await redis.publish(keys.requestChannel(queue, prefix), '');
+
+    return recovered;
+}
@@ -0,0 +1,186 @@
+const chai = require('chai');
+const chaiAsPromised = require("chai-as-promised");
+const { Admin, Client, Worker, Subscriber, Defaults } = require('../../index');
+const redis = require('redis');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const namespace = 'rrb-test-admin';
+chai.use(chaiAsPromised);
+chai.should();
+
+describe('Admin', function () {
+
+    // =====
+    // Setup
+    // =====
+
+    before(async function () {
+        Defaults.setDefaults({ redis: { prefix: `${namespace}:` }, timeout: 500 });
+        this.queue = 'test-admin';
+        this.redis = redis.createClient(Defaults.apply().redis);
+        this.enqueue = (id, priority) => new Promise((resolve, reject) => {
+            const key = priority ? `q:${this.queue}:${priority}` : `q:${this.queue}`;
+            this.redis.rpush(key, JSON.stringify({ id, data: id }), e => e ? reject(e) : resolve());
+        });
+        this.rrb = (...args) => new Promise((resolve, reject) => {
+            const bin = path.join(__dirname, '../../bin/rrb.js');
+            execFile(process.execPath, [bin, ...args, '--prefix', `${namespace}:`], (e, stdout) => e ? reject(e) : resolve(JSON.parse(stdout)));
+        });
+    });
+
+    after(async function () {
+        const leftOvers = await new Promise((resolve, _) => {
+            this.redis.keys(`${namespace}:*`, (_, keys) => {
+                resolve(keys);
+            });
+        });
+        for (const k of leftOvers)
+            this.redis.del(k.replace(`${namespace}:`, ''));
+
+        this.redis.end(true);
+
+        if (leftOvers.length > 0)
+            throw Error(`${leftOvers.length} leftover keys found: [${leftOvers.join(', ')}]`);
+    });
+
+    beforeEach(async function () {
+        this.admin = new Admin();
+        await this.admin.connect().should.be.fulfilled;
+    });
+
+    afterEach(async function () {
+        await this.admin.purge(this.queue).should.be.fulfilled;
+        await this.admin.disconnect().should.be.fulfilled;
+    });
+
+    this.slow(30);
+    this.timeout(1100);
+
+    // =================
+    // Actual tests here
+    // =================
+
+    it('should list queues with their lengths', async function () {
+        await this.enqueue('a');
+        await this.enqueue('b');
+        await this.enqueue('c', 'high');
+        const queues = await this.admin.queues().should.be.fulfilled;
+        queues.should.deep.eq([{ queue: this.queue, length: 3, lengths: { high: 1, normal: 2, low: 0 } }]);
+    });
+
+    it('should peek at requests in the order of their priority', async function () {
+        await this.enqueue('a');
+        await this.enqueue('b', 'low');
+        await this.enqueue('c', 'high');
+        const requests = await this.admin.peek(this.queue).should.be.fulfilled;
+        requests.map(r => r.id).should.deep.eq(['c', 'a', 'b']);
+        requests.map(r => r.priority).should.deep.eq(['high', 'normal', 'low']);
+        requests[0].data.should.eq('c');
+
+        const page = await this.admin.peek(this.queue, { start: 1, count: 1 }).should.be.fulfilled;
+        page.map(r => r.id).should.deep.eq(['a']);
+
+        // Peeking must not remove requests
+        await this.admin.peek(this.queue).should.eventually.have.length(3);
+    });
+
+    it('should purge requests by id', async function () {
+        await this.enqueue('a');
+        await this.enqueue('b');
+        await this.admin.purge(this.queue, { ids: ['a'] }).should.eventually.eq(1);
+        const requests = await this.admin.peek(this.queue).should.be.fulfilled;
+        requests.map(r => r.id).should.deep.eq(['b']);
+    });
+
+    it('should purge requests by priority', async function () {
+        await this.enqueue('a');
+        await this.enqueue('b', 'low');
+        await this.admin.purge(this.queue, { priority: 'low' }).should.eventually.eq(1);
+        await this.admin.peek(this.queue).should.eventually.have.length(1);
+    });
+
+    it('should list channels with their subscribers', async function () {
+        const subscriber = new Subscriber('test-admin-channel', () => { });
+        await subscriber.listen().should.be.fulfilled;
+        try {
+            const channels = await this.admin.channels().should.be.fulfilled;
+            channels.should.deep.include({ channel: 'test-admin-channel', subscribers: 1 });
+            await this.admin.subscribers('test-admin-channel').should.eventually.eq(1);
+        }
+        finally {
+            await subscriber.stop().should.be.fulfilled;
+        }
+    });
+
+    it('should list live workers', async function () {
+        const worker = new Worker(this.queue, d => d);
+        await worker.listen().should.be.fulfilled;
+        try {
+            const workers = await this.admin.workers(this.queue).should.be.fulfilled;
+            workers.map(w => w.id).should.deep.eq([worker.id]);
+        }
+        finally {
+            await worker.stop().should.be.fulfilled;
+        }
+    });
+
+    it('should recover requests of dead workers', async function () {
+        // A reliable worker that died while handling requests and whose lease expired
+        const call = (command, ...args) => new Promise((resolve, reject) =>
+            this.redis[command](...args, (error, result) => error ? reject(error) : resolve(result)));
+        await call('rpush', `p:${this.queue}:dead`, JSON.stringify({ id: 'a', data: 'a' }));
+        await call('rpush', `p:${this.queue}:dead:high`, JSON.stringify({ id: 'b', data: 'b' }));
+        await call('sadd', `pw:${this.queue}`, 'dead');
+
+        await this.admin.recover(this.queue).should.eventually.eq(2);
+        const requests = await this.admin.peek(this.queue).should.be.fulfilled;
+        requests.map(r => r.id).should.deep.eq(['b', 'a']);
+        requests.map(r => r.priority).should.deep.eq(['high', 'normal']);
+    });
+
+    it('should requeue dead letters', async function () {
+        let failing = true;
+        const handled = [];
+        const worker = new Worker(this.queue, async d => {
+            if (failing)
+                throw new Error('failed');
+            handled.push(d);
+            return d;
+        }, { deadLetter: true });
+        const client = new Client(this.queue);
+        await worker.listen().should.be.fulfilled;
+        await client.connect().should.be.fulfilled;
+        try {
+            await client.request(10, { timeout: 50 }).should.be.rejected;
+            failing = false;
+
+            // The deadline of the request passed, but the worker must not drop it
+            await new Promise(resolve => setTimeout(resolve, 60));
+            await this.admin.requeue(this.queue).should.eventually.eq(1);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            handled.should.deep.eq([10]);
+        }
+        finally {
+            await worker.stop().should.be.fulfilled;
+            await client.disconnect().should.be.fulfilled;
+        }
+    });
+
+    it('should be usable from the command line', async function () {
+        // Every command starts a new process
+        this.timeout(3000);
+        await this.enqueue('a');
+        await this.enqueue('b', 'high');
+        const queues = await this.rrb('queues').should.be.fulfilled;
+        queues.should.deep.eq([{ queue: this.queue, length: 2, lengths: { high: 1, normal: 1, low: 0 } }]);
+        const requests = await this.rrb('peek', this.queue).should.be.fulfilled;
+        requests.map(r => r.id).should.deep.eq(['b', 'a']);
+        await this.rrb('purge', this.queue, 'a').should.eventually.eq(1);
+        await this.admin.peek(this.queue).should.eventually.have.length(1);
+    });
+
+    it('should not be possible to use an admin that is not connected', async function () {
+        await new Admin().queues().should.be.rejectedWith(Error, 'Admin not connected');
+    });
+});
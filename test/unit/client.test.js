@@ -1,6 +1,7 @@
 const chai = require('chai');
 const chaiAsPromised = require("chai-as-promised");
-const { Client, Worker, Defaults } = require('../../index');
+const { Client, Worker, Defaults, Errors } = require('../../index');
+const { createController } = require('../../lib/abort');
 const namespace = 'rrb-test-client';
 const redis = require('redis');
 
@@ -101,6 +102,62 @@ describe('Client', function () {
         }
     });
 
+    it('should route responses to the matching request', async function () {
+        this.slow(100);
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        await Promise.all(values.map(v => this.clientValid.request(v).should.eventually.equal(v * 2)));
+    });
+
+    it('should reject requests when not connected', async function () {
+        await this.clientUnconnected.request(10).should.be.rejectedWith(Error, 'Client not connected');
+    });
+
+    it('should use the timeout of a single request', async function () {
+        await this.clientValid.request(10, { timeout: 1 }).should.be.rejectedWith(Error, 'Request timed out');
+    });
+
+    it('should reject and dequeue aborted requests', async function () {
+        const controller = createController();
+        const request = this.clientInvalidQueue.request(10, { signal: controller.signal });
+
+        // Abort once the request has been queued, as no worker listens on the queue
+        await new Promise(resolve => setTimeout(resolve, 10));
+        controller.abort();
+        await request.should.be.rejectedWith(Errors.AbortError);
+
+        // Removing the request from the queue happens after rejecting it
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const length = await new Promise((resolve, reject) => this.redis.llen('q:invalid-queue', (e, l) => e ? reject(e) : resolve(l)));
+        length.should.eq(0);
+    });
+
+    it('should reject requests whose data cannot be serialized', async function () {
+        await this.clientValid.request(BigInt(10)).should.be.rejectedWith(TypeError);
+    });
+
+    it('should reject requests with an aborted signal right away', async function () {
+        const controller = createController();
+        controller.abort();
+        await this.clientValid.request(10, { signal: controller.signal }).should.be.rejectedWith(Errors.AbortError);
+    });
+
+    it('should validate requests and responses using the schema', async function () {
+        const schema = {
+            request: { safeParse: v => v < 10 ? { success: true, data: v } : { success: false, error: { issues: [{ path: [], message: 'Too large' }] } } },
+            response: { validate: v => v < 10 ? { value: v } : { error: { details: [{ path: [], message: 'Too large' }] } } }
+        };
+        const c = new Client('test', { schema });
+        try {
+            await c.connect().should.be.fulfilled;
+            await c.request(2).should.eventually.equal(4);
+            await c.request(10).should.be.rejectedWith(Errors.ValidationError, 'Invalid request: Too large');
+            await c.request(5).should.be.rejectedWith(Errors.ValidationError, 'Invalid response: Too large');
+        }
+        finally {
+            await c.disconnect().should.be.fulfilled;
+        }
+    });
+
     it('should be possible to stop when not running', async function () {
         await this.clientValid.disconnect().should.be.fulfilled;
     });
@@ -0,0 +1,129 @@
+const chai = require('chai');
+const chaiAsPromised = require("chai-as-promised");
+const { Client, Worker, DeadLetterQueue, Defaults } = require('../../index');
+const redis = require('redis');
+
+const namespace = 'rrb-test-dead-letter';
+chai.use(chaiAsPromised);
+chai.should();
+
+describe('Dead Letter Queue', function () {
+
+    // =====
+    // Setup
+    // =====
+
+    before(async function () {
+        Defaults.setDefaults({ redis: { prefix: `${namespace}:` }, timeout: 500 });
+        this.queue = 'test-dead-letter';
+        this.redis = redis.createClient(Defaults.apply().redis);
+    });
+
+    after(async function () {
+        const leftOvers = await new Promise((resolve, _) => {
+            this.redis.keys(`${namespace}:*`, (_, keys) => {
+                resolve(keys);
+            });
+        });
+        for (const k of leftOvers)
+            this.redis.del(k.replace(`${namespace}:`, ''));
+
+        this.redis.end(true);
+
+        if (leftOvers.length > 0)
+            throw Error(`${leftOvers.length} leftover keys found: [${leftOvers.join(', ')}]`);
+    });
+
+    beforeEach(async function () {
+        this.failing = true;
+        this.transient = false; // Transient errors only fail the first attempt
+        this.handled = [];
+        this.worker = new Worker(this.queue, async d => {
+            if (this.failing) {
+                const error = new Error('failed');
+                if (this.transient) {
+                    error.transient = true;
+                    this.failing = false;
+                }
+                throw error;
+            }
+            this.handled.push(d);
+            return d;
+        }, { deadLetter: true });
+        this.client = new Client(this.queue);
+        this.deadLetterQueue = new DeadLetterQueue(this.queue);
+        await this.worker.listen().should.be.fulfilled;
+        await this.client.connect().should.be.fulfilled;
+        await this.deadLetterQueue.connect().should.be.fulfilled;
+    });
+
+    afterEach(async function () {
+        await this.deadLetterQueue.purge().should.be.fulfilled;
+        await this.worker.stop().should.be.fulfilled;
+        await this.client.disconnect().should.be.fulfilled;
+        await this.deadLetterQueue.disconnect().should.be.fulfilled;
+    });
+
+    this.slow(30);
+    this.timeout(1100);
+
+    // =================
+    // Actual tests here
+    // =================
+
+    it('should store failed requests', async function () {
+        await this.client.request(10).should.be.rejected;
+        const entries = await this.deadLetterQueue.list().should.be.fulfilled;
+        entries.length.should.eq(1);
+        entries[0].error.should.have.property('message', 'failed');
+        entries[0].workerId.should.eq(this.worker.id);
+        JSON.parse(entries[0].message).data.should.eq(10);
+    });
+
+    it('should store unparseable requests', async function () {
+        await new Promise((resolve, reject) => this.redis.rpush(`q:${this.queue}`, 'not json', e => e ? reject(e) : resolve()));
+        await new Promise((resolve, reject) => this.redis.publish(`${namespace}:n:${this.queue}`, '', e => e ? reject(e) : resolve()));
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const entries = await this.deadLetterQueue.list().should.be.fulfilled;
+        entries.length.should.eq(1);
+        entries[0].message.should.eq('not json');
+    });
+
+    it('should purge entries', async function () {
+        await this.client.request(10).should.be.rejected;
+        await this.client.request(20).should.be.rejected;
+        const [first] = await this.deadLetterQueue.list().should.be.fulfilled;
+        await this.deadLetterQueue.purge([first.id]).should.eventually.eq(1);
+        await this.deadLetterQueue.length().should.eventually.eq(1);
+    });
+
+    it('should requeue entries', async function () {
+        await this.client.request(10, { timeout: 50 }).should.be.rejected;
+        this.failing = false;
+
+        // The deadline of the request passed, but the worker must not drop it
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await this.deadLetterQueue.requeue().should.eventually.eq(1);
+        await this.deadLetterQueue.length().should.eventually.eq(0);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        this.handled.should.deep.eq([10]);
+    });
+
+    it('should not store requests that failed with transient errors', async function () {
+        this.transient = true;
+        const client = new Client(this.queue, { retry: { attempts: 2, delay: 1 } });
+        try {
+            await client.connect().should.be.fulfilled;
+            await client.request(10).should.eventually.eq(10);
+            this.handled.should.deep.eq([10]);
+            await this.deadLetterQueue.length().should.eventually.eq(0);
+        }
+        finally {
+            await client.disconnect().should.be.fulfilled;
+        }
+    });
+
+    it('should not be possible to access entries when not connected', async function () {
+        await new DeadLetterQueue(this.queue).list().should.be.rejectedWith(Error, 'Dead letter queue not connected');
+    });
+});
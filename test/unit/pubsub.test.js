@@ -1,6 +1,6 @@
 const chai = require('chai');
 const chaiAsPromised = require("chai-as-promised");
-const { Subscriber, Publisher, Defaults } = require('../../index');
+const { Subscriber, Publisher, Defaults, Codecs } = require('../../index');
 const redis = require('redis');
 const sleep = require('util').promisify(setTimeout);
 
@@ -166,6 +166,188 @@ describe('Pub Sub', function () {
         await subscriber.stop().should.be.fulfilled;
     });
 
+    it('should detect the codec of a message', async function () {
+        const publisher = new Publisher(this.channelOne, { codec: Codecs.v8 });
+        const message = { date: new Date(0), set: new Set([1, 2]) };
+        try {
+            await publisher.connect().should.be.fulfilled;
+            await publisher.publish(message).should.eventually.eq(1);
+            await sleep(5);
+            this.receivedOne.should.deep.eq([message]);
+        }
+        finally {
+            await publisher.disconnect().should.be.fulfilled;
+        }
+    });
+
+    it('should run messages through middleware', async function () {
+        const publisher = new Publisher(this.channelOne);
+        publisher.use(async (ctx, next) => {
+            ctx.message = ctx.message + 1;
+            await next();
+            ctx.received.should.eq(1);
+        });
+        this.subscriberOne.use(async (ctx, next) => {
+            ctx.channel.should.eq(this.channelOne);
+            if (ctx.message < 10)
+                await next();
+        });
+        try {
+            await publisher.connect().should.be.fulfilled;
+            await publisher.publish(1).should.eventually.eq(1);
+            await publisher.publish(9).should.eventually.eq(1);
+            await sleep(5);
+            this.receivedOne.should.deep.eq([2]);
+        }
+        finally {
+            await publisher.disconnect().should.be.fulfilled;
+        }
+    });
+
+    it('should subscribe to patterns', async function () {
+        const received = [];
+        const subscriber = new Subscriber('test-pattern.*', (message, { channel }) => received.push({ channel, message }), { pattern: true });
+        const publisherA = new Publisher('test-pattern.a');
+        const publisherB = new Publisher('test-pattern.b');
+        try {
+            await subscriber.listen().should.be.fulfilled;
+            await publisherA.connect().should.be.fulfilled;
+            await publisherB.connect().should.be.fulfilled;
+            await publisherA.publish(1).should.eventually.eq(1);
+            await publisherB.publish(2).should.eventually.eq(1);
+            await this.publisherOne.publish(3).should.eventually.eq(1);
+            await sleep(5);
+            received.should.deep.eq([{ channel: 'test-pattern.a', message: 1 }, { channel: 'test-pattern.b', message: 2 }]);
+        }
+        finally {
+            await subscriber.stop().should.be.fulfilled;
+            await publisherA.disconnect().should.be.fulfilled;
+            await publisherB.disconnect().should.be.fulfilled;
+        }
+    });
+
+    it('should collect acknowledgements of subscribers', async function () {
+        const publisher = new Publisher(this.channelThrow);
+        try {
+            await publisher.connect().should.be.fulfilled;
+            const outcomes = await publisher.publishAndCollect('message').should.be.fulfilled;
+            outcomes.length.should.eq(2);
+            outcomes.map(o => o.subscriberId).should.have.members([this.subscriberThrowing.id, this.subscriberRejecting.id]);
+            outcomes.every(o => !o.ok).should.eq(true);
+            outcomes[0].error.should.eq('message');
+        }
+        finally {
+            await publisher.disconnect().should.be.fulfilled;
+        }
+
+        const handled = await this.publisherThree.publishAndCollect('message').should.be.fulfilled;
+        handled.length.should.eq(3);
+        handled.every(o => o.ok).should.eq(true);
+    });
+
+    it('should use minimumRecipients for successfully handled messages', async function () {
+        const error = await this.publisherThrow.publishAndCollect('message').should.be.rejectedWith(Error, 'Could not reach enough subscribers');
+        error.outcomes.length.should.eq(2);
+    });
+
+    it('should subscribe to channels while listening', async function () {
+        const received = [];
+        const subscriber = new Subscriber(null, null);
+        try {
+            await subscriber.listen().should.be.fulfilled;
+            await subscriber.subscribe(this.channelOne, message => received.push(['one', message])).should.be.fulfilled;
+            await subscriber.subscribe(this.channelThree, message => received.push(['three', message])).should.be.fulfilled;
+            await subscriber.subscribe(this.channelOne, () => { }).should.be.rejectedWith(Error, 'Already subscribed');
+            await this.publisherOne.publish(1).should.eventually.eq(2);
+            await this.publisherThree.publish(3).should.eventually.eq(4);
+            await sleep(5);
+
+            await subscriber.unsubscribe(this.channelOne).should.eventually.eq(true);
+            await subscriber.unsubscribe(this.channelOne).should.eventually.eq(false);
+            await this.publisherOne.publish(2).should.eventually.eq(1);
+            await sleep(5);
+            received.should.deep.eq([['one', 1], ['three', 3]]);
+        }
+        finally {
+            await subscriber.stop().should.be.fulfilled;
+        }
+    });
+
+    it('should not miss durable messages while no subscriber listens', async function () {
+        const received = [];
+        const options = { durable: { group: 'test' } };
+        const handle = message => received.push(message);
+        const publisher = new Publisher('test-durable', options);
+        try {
+            // The first subscriber creates the consumer group
+            const first = new Subscriber('test-durable', handle, options);
+            await first.listen().should.be.fulfilled;
+            await first.stop().should.be.fulfilled;
+
+            await publisher.connect().should.be.fulfilled;
+            await publisher.publish(1).should.eventually.be.a('string');
+            await publisher.publish(2).should.eventually.be.a('string');
+
+            const second = new Subscriber('test-durable', handle, options);
+            await second.listen().should.be.fulfilled;
+            await sleep(20);
+            await second.stop().should.be.fulfilled;
+            received.should.deep.eq([1, 2]);
+        }
+        finally {
+            await publisher.disconnect().should.be.fulfilled;
+            await new Promise((resolve, reject) => this.redis.del('s:test-durable', e => e ? reject(e) : resolve()));
+        }
+    });
+
+    it('should claim durable messages that another subscriber did not acknowledge', async function () {
+        this.slow(500);
+        const received = [];
+        const options = { durable: { group: 'test', claimTimeout: 100 } };
+        const publisher = new Publisher('test-durable-claim', options);
+        try {
+            // The first subscriber stops without acknowledging the message, like a dead one
+            const first = new Subscriber('test-durable-claim', () => { throw new Error('failed'); }, options);
+            await first.listen().should.be.fulfilled;
+            await publisher.connect().should.be.fulfilled;
+            await publisher.publish(1).should.be.fulfilled;
+            await sleep(20);
+            await first.stop().should.be.fulfilled;
+
+            const second = new Subscriber('test-durable-claim', message => received.push(message), options);
+            await second.listen().should.be.fulfilled;
+            await sleep(300);
+            await second.stop().should.be.fulfilled;
+            received.should.deep.eq([1]);
+        }
+        finally {
+            await publisher.disconnect().should.be.fulfilled;
+            await new Promise((resolve, reject) => this.redis.del('s:test-durable-claim', e => e ? reject(e) : resolve()));
+        }
+    });
+
+    it('should subscribe again after reconnecting', async function () {
+        const received = [];
+        let reconnected;
+        const connected = new Promise(resolve => reconnected = resolve);
+        const subscriber = new Subscriber(this.channelOne, message => received.push(message), {
+            reconnect: { delay: 10, jitter: false },
+            onStateChange: (state, previous) => state === 'connected' && previous === 'reconnecting' && reconnected()
+        });
+        try {
+            await subscriber.listen().should.be.fulfilled;
+            subscriber.subscriber.stream.destroy();
+            await connected;
+            await sleep(5);
+            await this.publisherOne.publish('message').should.eventually.eq(2);
+            await sleep(5);
+            received.should.deep.eq(['message']);
+        }
+        finally {
+            await subscriber.stop().should.be.fulfilled;
+        }
+    });
+
     it('should handle throwing or rejecting handlers', async function () {
         const count = await this.publisherThrow.publish('message').should.be.fulfilled;
         count.should.eq(2);
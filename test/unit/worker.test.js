@@ -1,7 +1,9 @@
 const chai = require('chai');
 const chaiAsPromised = require("chai-as-promised");
-const { Client, Worker, Defaults } = require('../../index');
+const { Client, Worker, Defaults, Errors, Codecs, Metrics } = require('../../index');
+const { createController } = require('../../lib/abort');
 const redis = require('redis');
+const sleep = require('util').promisify(setTimeout);
 
 const namespace = 'rrb-test-worker';
 chai.use(chaiAsPromised);
@@ -94,4 +96,487 @@ describe('Worker', function () {
             .and.eventually.have.property('message', 'data');
     });
 
+    it('should reject unknown priorities', async function () {
+        await this.clientIdentity.request(10, { priority: 'urgent' }).should.be.rejectedWith(Error, 'Unknown priority');
+    });
+
+    describe('with their own queues', function () {
+
+        // Workers and clients are created using the methods below, so that
+        // they are stopped and disconnected after every test.
+        beforeEach(function () {
+            this.workers = [];
+            this.clients = [];
+            this.createWorker = (queue, handle, options) => {
+                const worker = new Worker(queue, handle, options);
+                this.workers.push(worker);
+                return worker;
+            };
+            this.listen = async (queue, handle, options) => {
+                const worker = this.createWorker(queue, handle, options);
+                await worker.listen().should.be.fulfilled;
+                return worker;
+            };
+            this.connect = async (queue, options) => {
+                const client = new Client(queue, options);
+                this.clients.push(client);
+                await client.connect().should.be.fulfilled;
+                return client;
+            };
+        });
+
+        afterEach(async function () {
+            for (const worker of this.workers)
+                await worker.stop().should.be.fulfilled;
+            for (const client of this.clients)
+                await client.disconnect().should.be.fulfilled;
+        });
+
+        describe('Queueing', function () {
+
+            it('should handle multiple requests in parallel when using concurrency', async function () {
+                let running = 0;
+                let maxRunning = 0;
+                await this.listen('test-concurrency', async d => {
+                    running++;
+                    maxRunning = Math.max(running, maxRunning);
+                    await sleep(20);
+                    running--;
+                    return d;
+                }, { concurrency: 3 });
+                const client = await this.connect('test-concurrency');
+                await Promise.all([1, 2, 3, 4, 5, 6].map(d => client.request(d).should.eventually.equal(d)));
+                maxRunning.should.eq(3);
+            });
+
+            it('should wait for all running requests when stopping', async function () {
+                let finished = 0;
+                const worker = await this.listen('test-concurrency-stop', async d => {
+                    await sleep(20);
+                    finished++;
+                    return d;
+                }, { concurrency: 2 });
+                const client = await this.connect('test-concurrency-stop');
+                const requests = [client.request(1), client.request(2)];
+                await sleep(10);
+                await worker.stop().should.be.fulfilled;
+                finished.should.eq(2);
+                await Promise.all(requests).should.be.fulfilled;
+            });
+
+            it('should handle requests with higher priority first', async function () {
+                const handled = [];
+                const worker = this.createWorker('test-priority', async d => handled.push(d));
+                const client = await this.connect('test-priority');
+                const requests = [
+                    client.request('low', { priority: 'low' }),
+                    client.request('normal'),
+                    client.request('high', { priority: 'high' }),
+                    client.request('also high', { priority: 1 })
+                ];
+                await sleep(10);
+                await worker.listen().should.be.fulfilled;
+                await Promise.all(requests).should.be.fulfilled;
+                handled.should.deep.eq(['high', 'also high', 'normal', 'low']);
+            });
+
+            it('should drop requests whose client already timed out', async function () {
+                let handled = false;
+                const worker = this.createWorker('test-deadline', async d => { handled = true; return d; });
+                const client = await this.connect('test-deadline');
+                await client.request(10, { timeout: 10 }).should.be.rejectedWith(Error, 'Request timed out');
+                await worker.listen().should.be.fulfilled;
+                await sleep(10);
+                handled.should.be.false;
+                worker.expired.should.eq(1);
+            });
+
+            it('should drop requests of older clients whose deadline passed', async function () {
+                let handled = false;
+                const worker = this.createWorker('test-deadline', async d => { handled = true; return d; });
+                const request = JSON.stringify({ id: 'old', data: 10, deadline: Date.now() - 1 });
+                await new Promise((resolve, reject) => this.redis.rpush('q:test-deadline', request, e => e ? reject(e) : resolve()));
+                await worker.listen().should.be.fulfilled;
+                await sleep(10);
+                handled.should.be.false;
+                worker.expired.should.eq(1);
+            });
+
+            it('should register workers using heartbeats', async function () {
+                const worker = await this.listen('test-registry', async d => d);
+                const client = await this.connect('test-registry');
+                await client.request(10).should.eventually.equal(10);
+                const [info] = await client.workers();
+                info.should.include({ id: worker.id, queue: 'test-registry', pid: process.pid, status: 'idle' });
+                await worker.stop().should.be.fulfilled;
+                await client.workers().should.eventually.deep.equal([]);
+            });
+
+            it('should reject requests right away if no worker is available when failing fast', async function () {
+                const client = await this.connect('test-fail-fast', { failFast: true });
+                await client.request(10, { timeout: 10000 }).should.be.rejectedWith(Errors.NoWorkersAvailableError);
+            });
+        });
+
+        describe('Retries', function () {
+
+            it('should retry requests that failed with transient errors', async function () {
+                let attempts = 0;
+                await this.listen('test-retry', async d => {
+                    if (++attempts < 3) {
+                        const error = new Error('Not yet');
+                        error.transient = true;
+                        throw error;
+                    }
+                    return d;
+                });
+                const client = await this.connect('test-retry', { retry: { attempts: 3, delay: 1 } });
+                await client.request(10).should.eventually.equal(10);
+                attempts.should.eq(3);
+            });
+
+            it('should not retry requests that failed with other errors', async function () {
+                const client = await this.connect(this.queueThrowingErrors, { retry: { attempts: 3, delay: 1 } });
+                await client.request('data').should.be.rejected.and.eventually.have.property('message', 'data');
+            });
+
+            it('should return stored responses for requests with the same idempotency key', async function () {
+                let handled = 0;
+                await this.listen('test-idempotency', async d => ++handled);
+                const client = await this.connect('test-idempotency');
+                await client.request(10, { idempotencyKey: 'key' }).should.eventually.equal(1);
+                await client.request(10, { idempotencyKey: 'key' }).should.eventually.equal(1);
+                await client.request(10).should.eventually.equal(2);
+                await new Promise((resolve, reject) => this.redis.del('i:test-idempotency:key', e => e ? reject(e) : resolve()));
+            });
+        });
+
+        describe('Messages', function () {
+
+            it('should transmit binary data using the v8 codec', async function () {
+                const client = await this.connect(this.queueItentity, { codec: Codecs.v8 });
+                const data = { buffer: Buffer.from([0, 255, 128]), big: 10n, map: new Map([[1, 'one']]), date: new Date(0) };
+                await client.request(data).should.eventually.deep.equal(data);
+            });
+
+            it('should use custom codecs', async function () {
+                const codec = { name: 'custom', encode: v => JSON.stringify({ wrapped: v }), decode: d => JSON.parse(d.toString()).wrapped };
+                await this.listen('test-codec', async d => d, { codec });
+                const client = await this.connect('test-codec', { codec });
+                await client.request(10).should.eventually.equal(10);
+            });
+
+            it('should pass metadata to the handler', async function () {
+                await this.listen('test-metadata', async (_, { metadata }) => metadata.tenant);
+                const client = await this.connect('test-metadata');
+                await client.request(10, { metadata: { tenant: 'acme' } }).should.eventually.equal('acme');
+            });
+
+            it('should report progress and extend the timeout', async function () {
+                await this.listen('test-progress', async (d, { progress }) => {
+                    for (let i = 1; i <= 3; i++) {
+                        await sleep(30);
+                        await progress(i);
+                    }
+                    await sleep(30);
+                    return d;
+                });
+                const client = await this.connect('test-progress');
+                const reported = [];
+                await client.request(10, { timeout: 80, onProgress: p => reported.push(p) }).should.eventually.equal(10);
+                reported.should.deep.equal([1, 2, 3]);
+            });
+
+            it('should reject requests and responses that do not match the schema', async function () {
+                const isNumber = value => typeof value === 'number';
+                await this.listen('test-schema', async d => d > 10 ? 'large' : d, { schema: { request: isNumber, response: isNumber } });
+                const client = await this.connect('test-schema');
+                await client.request(10).should.eventually.equal(10);
+                const invalidRequest = await client.request('10').should.be.rejected;
+                invalidRequest.should.include({ name: 'ValidationError', code: 'VALIDATION_FAILED', target: 'request' });
+                invalidRequest.details.should.deep.equal([{ path: '', message: 'Invalid value' }]);
+                const invalidResponse = await client.request(11).should.be.rejected;
+                invalidResponse.should.include({ name: 'ValidationError', target: 'response' });
+            });
+
+            it('should propagate the trace context', async function () {
+                await this.listen('test-trace', async (_, { trace }) => trace);
+                const client = await this.connect('test-trace');
+                const parent = { traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01', tracestate: 'vendor=value' };
+                const trace = await client.request(10, { trace: parent });
+                trace.should.include({ traceId: '0af7651916cd43dd8448eb211c80319c', flags: '01', tracestate: 'vendor=value' });
+                trace.parentId.should.not.equal('b7ad6b7169203331');
+                trace.traceparent.should.equal(`00-${trace.traceId}-${trace.spanId}-01`);
+                const root = await client.request(10);
+                root.traceId.should.not.equal(trace.traceId);
+            });
+
+            it('should record metrics', async function () {
+                const registry = new Metrics.Registry();
+                await this.listen('test-metrics', async d => d, { metrics: registry });
+                const client = await this.connect('test-metrics', { metrics: registry });
+                await client.request(10).should.eventually.equal(10);
+                await client.requestAll(10).should.be.fulfilled;
+                const labels = { queue: 'test-metrics' };
+                registry.get('rrb_client_requests_sent_total').get(labels).should.equal(2);
+                registry.get('rrb_client_requests_succeeded_total').get(labels).should.equal(2);
+                registry.get('rrb_worker_handler_duration_seconds').get(labels).count.should.equal(2);
+                registry.get('rrb_worker_queue_wait_seconds').get(labels).count.should.equal(1);
+                registry.metrics().should.include('rrb_client_requests_sent_total{queue="test-metrics"} 2');
+            });
+        });
+
+        describe('Broadcasts', function () {
+
+            it('should send requests to all workers', async function () {
+                const workers = [];
+                for (const factor of [1, 2]) {
+                    workers.push(await this.listen('test-all', async d => {
+                        if (d * factor > 10)
+                            throw 'too large';
+                        return d * factor;
+                    }));
+                }
+                const client = await this.connect('test-all');
+                const responses = await client.requestAll(5);
+                responses.map(r => r.response).sort((a, b) => a - b).should.deep.equal([5, 10]);
+                responses.map(r => r.workerId).sort().should.deep.equal(workers.map(w => w.id).sort());
+                const mixed = await client.requestAll(6);
+                mixed.filter(r => r.ok).map(r => r.response).should.deep.equal([6]);
+                mixed.filter(r => !r.ok).map(r => r.error).should.deep.equal(['too large']);
+                await client.requestAll(1, { minResponses: 3 }).should.be.rejected;
+            });
+
+            it('should reject requests to all workers right away if not enough workers received them', async function () {
+                await this.listen('test-all-missing', async d => d);
+                const client = await this.connect('test-all-missing');
+                const started = Date.now();
+                const error = await client.requestAll(1, { minResponses: 3, timeout: 500 }).should.be.rejectedWith(Errors.TimeoutError);
+                (Date.now() - started).should.be.below(100);
+                error.responses.length.should.be.at.most(1);
+            });
+        });
+
+        describe('RPC and middleware', function () {
+
+            it('should call named methods using a proxy', async function () {
+                await this.listen('test-rpc', {
+                    users: { get: async id => ({ id }) },
+                    add: async (a, b) => a + b
+                });
+                const client = await this.connect('test-rpc');
+                const api = client.proxy();
+                await api.users.get(42).should.eventually.deep.equal({ id: 42 });
+                await api.add(1, 2).should.eventually.equal(3);
+                await client.request({ method: 'add', args: [3, 4] }).should.eventually.equal(7);
+                await api.users.remove(42).should.be.rejectedWith(Errors.MethodNotFoundError);
+                await api.rpc.discover().should.eventually.deep.equal(['users.get', 'add']);
+            });
+
+            it('should run requests through middleware', async function () {
+                const worker = this.createWorker('test-middleware', async (d, { metadata }) => `${metadata.tenant}:${d}`);
+                const client = await this.connect('test-middleware');
+                const calls = [];
+                client.use(async (ctx, next) => {
+                    ctx.options.metadata = { tenant: 'acme' };
+                    await next();
+                    ctx.result = ctx.result.toUpperCase();
+                });
+                worker.use(async (ctx, next) => {
+                    calls.push('outer');
+                    ctx.data = ctx.data * 2;
+                    await next();
+                    calls.push('outer done');
+                }).use(async (ctx, next) => {
+                    calls.push('inner');
+                    await next();
+                    ctx.response = `${ctx.response}!`;
+                });
+                await worker.listen().should.be.fulfilled;
+                await client.request(10).should.eventually.equal('ACME:20!');
+                calls.should.deep.equal(['outer', 'inner', 'outer done']);
+            });
+
+            it('should run every attempt and streamed requests through middleware', async function () {
+                let attempts = 0;
+                await this.listen('test-middleware-attempts', async (d, { metadata }) => {
+                    if (++attempts < 2) {
+                        const error = new Error('Not yet');
+                        error.transient = true;
+                        throw error;
+                    }
+                    return `${metadata.tenant}:${d}`;
+                });
+                const client = await this.connect('test-middleware-attempts', { retry: { attempts: 2, delay: 1 } });
+                const calls = [];
+                client.use(async (ctx, next) => {
+                    calls.push(`${ctx.method}:${ctx.attempt}`);
+                    ctx.options.metadata = { tenant: 'acme' };
+                    await next();
+                });
+                await client.request(10).should.eventually.equal('acme:10');
+
+                const chunks = [];
+                for await (const chunk of client.requestStream(20))
+                    chunks.push(chunk);
+                chunks.should.deep.equal(['acme:20']);
+                calls.should.deep.equal(['request:1', 'request:2', 'requestStream:1']);
+            });
+        });
+
+        describe('Streaming', function () {
+
+            it('should stream chunks to the client', async function () {
+                await this.listen('test-stream', async function* (d) {
+                    for (let i = 0; i < d; i++)
+                        yield i;
+                });
+                const client = await this.connect('test-stream');
+                const chunks = [];
+                for await (const chunk of client.requestStream(3))
+                    chunks.push(chunk);
+                chunks.should.deep.equal([0, 1, 2]);
+                await client.request(3).should.eventually.deep.equal([0, 1, 2]);
+            });
+
+            it('should throw errors of the worker while streaming', async function () {
+                await this.listen('test-stream-error', async (d, { emit }) => {
+                    await emit(d);
+                    throw 'failed';
+                });
+                const client = await this.connect('test-stream-error');
+                const chunks = [];
+                const consume = async () => {
+                    for await (const chunk of client.requestStream(10))
+                        chunks.push(chunk);
+                };
+                await consume().should.be.rejectedWith('failed');
+                chunks.should.deep.equal([10]);
+            });
+
+            it('should cancel streams that are not read to the end', async function () {
+                let aborted = false;
+                await this.listen('test-stream-cancel', async (_, { emit, signal }) => {
+                    await emit(1);
+                    await new Promise(resolve => signal.addEventListener('abort', resolve));
+                    aborted = true;
+                });
+                const client = await this.connect('test-stream-cancel');
+                for await (const chunk of client.requestStream(10)) {
+                    chunk.should.equal(1);
+                    break;
+                }
+                await sleep(10);
+                aborted.should.be.true;
+            });
+        });
+
+        describe('Cancellation', function () {
+
+            it('should abort the signal of running requests when cancelled', async function () {
+                let aborted = false;
+                await this.listen('test-cancel', (_, { signal }) => new Promise(resolve => {
+                    signal.addEventListener('abort', () => {
+                        aborted = true;
+                        resolve();
+                    });
+                }));
+                const client = await this.connect('test-cancel');
+                const controller = createController();
+                const request = client.request(10, { signal: controller.signal });
+                await sleep(10);
+                controller.abort();
+                await request.should.be.rejectedWith(Errors.AbortError);
+                await sleep(10);
+                aborted.should.be.true;
+            });
+
+            it('should not call the handler for requests cancelled while looking up stored responses', async function () {
+                let handled = false;
+                const worker = this.createWorker('test-cancel-early', async d => { handled = true; return d; });
+                const client = await this.connect('test-cancel-early');
+                const controller = createController();
+
+                // The cancel notice arrives while the worker looks for a stored response
+                const getStoredResponse = worker._getStoredResponse.bind(worker);
+                worker._getStoredResponse = async key => {
+                    await sleep(30);
+                    return getStoredResponse(key);
+                };
+                await worker.listen().should.be.fulfilled;
+                const request = client.request(10, { signal: controller.signal, idempotencyKey: 'key' });
+                await sleep(10);
+                controller.abort();
+                await request.should.be.rejectedWith(Errors.AbortError);
+                await sleep(40);
+                handled.should.be.false;
+            });
+        });
+
+        describe('Reliable mode', function () {
+
+            it('should handle requests in reliable mode', async function () {
+                await this.listen('test-reliable', async d => d, { reliable: true });
+                const client = await this.connect('test-reliable');
+                await client.request(10).should.eventually.equal(10);
+            });
+
+            it('should requeue requests in reliable mode whose response could not be sent', async function () {
+                let handled = 0;
+                const worker = this.createWorker('test-reliable-respond', async d => { handled++; return d; }, { reliable: true });
+                const client = await this.connect('test-reliable-respond');
+
+                // Sending the first response fails, like when the connection got lost
+                const respond = worker._respond.bind(worker);
+                let failed = false;
+                worker._respond = async (id, message) => {
+                    if (failed)
+                        return respond(id, message);
+                    failed = true;
+                    return false;
+                };
+                await worker.listen().should.be.fulfilled;
+                await client.request(10).should.eventually.equal(10);
+                handled.should.eq(2);
+            });
+
+            it('should recover requests of dead workers in reliable mode', async function () {
+                const queue = 'test-reliable-recover';
+                const client = await this.connect(queue);
+                const call = (command, ...args) => new Promise((resolve, reject) =>
+                    this.redis[command](...args, (error, result) => error ? reject(error) : resolve(result)));
+                const request = client.request(10);
+                await sleep(10);
+
+                // Simulate a worker that died while handling the request
+                await call('rpoplpush', `q:${queue}`, `p:${queue}:dead`);
+                await call('sadd', `pw:${queue}`, 'dead');
+
+                await this.listen(queue, async d => d, { reliable: true });
+                await request.should.eventually.equal(10);
+            });
+        });
+
+        describe('Reconnecting', function () {
+
+            it('should catch up with the queue after reconnecting', async function () {
+                const states = [];
+                const worker = await this.listen('test-reconnect', async d => d, {
+                    reconnect: { delay: 10, jitter: false },
+                    onStateChange: state => states.push(state)
+                });
+                const client = await this.connect('test-reconnect');
+                worker.state.should.equal('connected');
+
+                // The notification of the request gets lost with the connection
+                worker.subscriber.redis.stream.destroy();
+                await client.request(10).should.eventually.equal(10);
+                states.should.include('reconnecting');
+                worker.state.should.equal('connected');
+                await worker.stop().should.be.fulfilled;
+                worker.state.should.equal('stopped');
+            });
+        });
+    });
+
 });
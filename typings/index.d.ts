@@ -3,4 +3,10 @@ export { default as Worker } from './lib/worker';
 export { default as Client } from './lib/client';
 export { default as Subscriber } from './lib/subscriber';
 export { default as Publisher } from './lib/publisher';
+export { default as DeadLetterQueue } from './lib/deadLetterQueue';
+export { default as Admin } from './lib/admin';
 export * as Defaults from './lib/defaults';
+export * as Errors from './lib/errors';
+export * as Codecs from './lib/codecs';
+export * as Metrics from './lib/metrics';
+export * as Tracing from './lib/tracing';
@@ -0,0 +1,45 @@
+import { AdminOptions, PeekOptions, PurgeOptions, Metadata, Priority } from './options'
+import { WorkerInfo } from './client'
+
+export type QueueInfo = {
+    queue: string;
+    length: number;
+    lengths: { high: number; normal: number; low: number; };
+}
+
+export type QueuedRequest = {
+    id: string;
+    priority: Priority;
+    data: any;
+    metadata: Metadata;
+    ttl?: number;
+    deadline?: number;
+    idempotencyKey?: string;
+    stream: boolean;
+    sent?: number;
+} | {
+    priority: Priority;
+    raw: string;
+    error: string;
+}
+
+export type ChannelInfo = {
+    channel: string;
+    subscribers: number;
+}
+
+export default class Admin {
+
+    constructor(options?: AdminOptions)
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+    queues(): Promise<QueueInfo[]>;
+    peek(queue: string, options?: PeekOptions): Promise<QueuedRequest[]>;
+    purge(queue: string, options?: PurgeOptions): Promise<number>;
+    requeue(queue: string, ids?: string[]): Promise<number>;
+    recover(queue: string): Promise<number>;
+    channels(): Promise<ChannelInfo[]>;
+    subscribers(channel: string): Promise<number>;
+    workers(queue: string): Promise<WorkerInfo[]>;
+
+}
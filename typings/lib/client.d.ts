@@ -1,10 +1,40 @@
-import { ClientOptions } from './options'
+import { ClientOptions, RequestOptions, RequestAllOptions } from './options'
+import { Middleware } from './middleware'
+
+export type ClientContext<Data> = {
+    queue: string;
+    method: 'request' | 'requestAll' | 'requestStream';
+    attempt: number;
+    data: Data;
+    options: RequestOptions & RequestAllOptions;
+    result?: any;
+}
+
+export type WorkerResponse<Result> =
+    { workerId: string; ok: true; response: Result; } |
+    { workerId: string; ok: false; error: any; }
+
+export type WorkerInfo = {
+    id: string;
+    queue: string;
+    host: string;
+    pid: number;
+    startedAt: number;
+    heartbeatAt: number;
+    status: 'busy' | 'idle';
+    handled: number;
+}
 
 export default class Client<Data, Result> {
 
     constructor(queue: string, options?: ClientOptions)
+    use(fn: Middleware<ClientContext<Data>>): this;
     connect(): Promise<void>;
     disconnect(): Promise<void>;
-    request(data: Data): Promise<Result>;
+    request(data: Data, options?: RequestOptions): Promise<Result>;
+    proxy<Api = any>(options?: RequestOptions): Api;
+    workers(): Promise<WorkerInfo[]>;
+    requestAll(data: Data, options?: RequestAllOptions): Promise<WorkerResponse<Result>[]>;
+    requestStream<Chunk = any>(data: Data, options?: RequestOptions): AsyncGenerator<Chunk, void, undefined>;
 
 }
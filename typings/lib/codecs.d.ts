@@ -0,0 +1,8 @@
+export type Codec = {
+    name: string;
+    encode: (value: any) => string | Buffer;
+    decode: (data: Buffer) => any;
+}
+
+export const json: Codec;
+export const v8: Codec;
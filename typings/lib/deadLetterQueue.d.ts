@@ -0,0 +1,21 @@
+import { DeadLetterQueueOptions } from './options'
+
+export type DeadLetterEntry = {
+    id: string;
+    message: string | Buffer;
+    error: any;
+    workerId: string;
+    timestamp: number;
+}
+
+export default class DeadLetterQueue {
+
+    constructor(queue: string, options?: DeadLetterQueueOptions)
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+    length(): Promise<number>;
+    list(start?: number, count?: number): Promise<DeadLetterEntry[]>;
+    requeue(ids?: string[]): Promise<number>;
+    purge(ids?: string[]): Promise<number>;
+
+}
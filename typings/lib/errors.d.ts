@@ -0,0 +1,35 @@
+export class AbortError extends Error {
+    constructor(message?: string)
+}
+
+export class TimeoutError extends Error {
+    constructor(message?: string)
+}
+
+export type ValidationDetail = {
+    path: string;
+    message: string;
+}
+
+export class ValidationError extends Error {
+    static readonly code: 'VALIDATION_FAILED';
+    readonly code: 'VALIDATION_FAILED';
+    readonly target: 'request' | 'response';
+    readonly details: ValidationDetail[];
+    constructor(target: 'request' | 'response', details: ValidationDetail[])
+}
+
+export class NoWorkersAvailableError extends Error {
+    static readonly code: 'NO_WORKERS_AVAILABLE';
+    readonly code: 'NO_WORKERS_AVAILABLE';
+    readonly queue: string;
+    readonly transient: true;
+    constructor(queue: string)
+}
+
+export class MethodNotFoundError extends Error {
+    static readonly code: 'METHOD_NOT_FOUND';
+    readonly code: 'METHOD_NOT_FOUND';
+    readonly method: string;
+    constructor(method: string)
+}
@@ -0,0 +1,43 @@
+export type Labels = { [name: string]: string | number };
+
+declare class Metric {
+    readonly type: 'counter' | 'gauge' | 'histogram';
+    readonly name: string;
+    readonly help: string;
+    readonly labelNames: string[];
+    reset(): void;
+    render(): string;
+}
+
+export class Counter extends Metric {
+    constructor(name: string, help: string, labelNames?: string[])
+    inc(labels?: Labels, value?: number): void;
+    get(labels?: Labels): number | undefined;
+}
+
+export class Gauge extends Metric {
+    constructor(name: string, help: string, labelNames?: string[])
+    set(labels: Labels | undefined, value: number): void;
+    inc(labels?: Labels, value?: number): void;
+    dec(labels?: Labels, value?: number): void;
+    get(labels?: Labels): number | undefined;
+}
+
+export class Histogram extends Metric {
+    constructor(name: string, help: string, labelNames?: string[], buckets?: number[])
+    observe(labels: Labels | undefined, value: number): void;
+    get(labels?: Labels): { sum: number, count: number } | undefined;
+}
+
+export class Registry {
+    counter(name: string, help: string, labelNames?: string[]): Counter;
+    gauge(name: string, help: string, labelNames?: string[]): Gauge;
+    histogram(name: string, help: string, labelNames?: string[], buckets?: number[]): Histogram;
+    get(name: string): Counter | Gauge | Histogram | undefined;
+    reset(): void;
+    metrics(): string;
+}
+
+export const registry: Registry;
+export const contentType: string;
+export function timer(): () => number;
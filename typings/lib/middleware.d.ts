@@ -0,0 +1 @@
+export type Middleware<Context> = (ctx: Context, next: () => Promise<void>) => Promise<void> | void;
@@ -1,29 +1,96 @@
 import { ClientOpts as Redis } from 'redis'
+import { Codec } from './codecs'
+import { Registry } from './metrics'
+import { Tracer } from './tracing'
 
 type Timeout = number;
 type Logger = (level: Level, message: string, time: Date, component: Component, instance: string, scope: strnig) => void;
 type Level = string | any;
 type Levels = { error: Level, warning: Level, notice: Level, info: Level, debug: Level };
 type MinimumRecipients = number;
-type Component = 'worker' | 'client' | 'subscriber' | 'publisher';
+type Concurrency = number;
+type Reliable = boolean;
+type LeaseTimeout = number;
+type IdempotencyTtl = number;
+type DeadLetter = boolean;
+
+export type Schema = { safeParse(value: any): any } | { validate(value: any): any } | ((value: any) => boolean);
+export type Schemas = {
+    request?: Schema;
+    response?: Schema;
+}
+
+export type RetryOptions = {
+    attempts?: number;
+    delay?: number;
+    factor?: number;
+    maxDelay?: number;
+    jitter?: boolean;
+    retryable?: (error: any) => boolean;
+}
+
+export type ReconnectOptions = {
+    attempts?: number;
+    delay?: number;
+    factor?: number;
+    maxDelay?: number;
+    jitter?: boolean;
+}
+
+export type ConnectionState = 'stopped' | 'connecting' | 'connected' | 'reconnecting' | 'failed';
+
+export type DurableOptions = {
+    group?: string;
+    consumer?: string;
+    maxLength?: number;
+    claimTimeout?: number;
+    maxDeliveries?: number;
+    count?: number;
+}
+type Component = 'worker' | 'client' | 'subscriber' | 'publisher' | 'dead_letter_queue' | 'admin';
 
 export type ClientOptions = {
     redis?: Redis;
     timeout?: Timeout;
     logger?: Logger;
     levels?: Levels;
+    retry?: RetryOptions;
+    codec?: Codec;
+    metrics?: Registry | false;
+    tracer?: Tracer;
+    failFast?: boolean;
+    schema?: Schemas;
 }
 
 export type WorkerOptions = {
     redis?: Redis;
     logger?: Logger;
     levels?: Levels;
+    concurrency?: Concurrency;
+    reliable?: Reliable;
+    leaseTimeout?: LeaseTimeout;
+    idempotencyTtl?: IdempotencyTtl;
+    deadLetter?: DeadLetter;
+    codec?: Codec;
+    metrics?: Registry | false;
+    tracer?: Tracer;
+    heartbeatInterval?: number;
+    schema?: Schemas;
+    reconnect?: ReconnectOptions;
+    onStateChange?: (state: ConnectionState, previous: ConnectionState) => void;
 }
 
 export type SubscriberOptions = {
     redis?: Redis;
     logger?: Logger;
     levels?: Levels;
+    codec?: Codec;
+    metrics?: Registry | false;
+    tracer?: Tracer;
+    pattern?: boolean;
+    durable?: boolean | DurableOptions;
+    reconnect?: ReconnectOptions;
+    onStateChange?: (state: ConnectionState, previous: ConnectionState) => void;
 }
 
 
@@ -31,7 +98,67 @@ export type PublisherOptions = {
     redis?: Redis;
     logger?: Logger;
     levels?: Levels;
+    timeout?: Timeout;
     minimumRecipients?: MinimumRecipients;
+    codec?: Codec;
+    metrics?: Registry | false;
+    tracer?: Tracer;
+    durable?: boolean | DurableOptions;
+}
+
+export type DeadLetterQueueOptions = {
+    redis?: Redis;
+    logger?: Logger;
+    levels?: Levels;
+    codec?: Codec;
+}
+
+export type AdminOptions = {
+    redis?: Redis;
+    logger?: Logger;
+    levels?: Levels;
+    codec?: Codec;
+}
+
+export type PeekOptions = {
+    priority?: Priority;
+    start?: number;
+    count?: number;
+}
+
+export type PurgeOptions = {
+    priority?: Priority;
+    ids?: string[];
 }
 
 export type Options = ClientOptions & WorkerOptions & SubscriberOptions & PublisherOptions;
+
+export type Metadata = { [key: string]: any };
+
+export type Priority = 'high' | 'normal' | 'low' | 1 | 0 | -1;
+
+export type RequestOptions = {
+    timeout?: Timeout;
+    priority?: Priority;
+    metadata?: Metadata;
+    signal?: AbortSignal;
+    idempotencyKey?: string;
+    onProgress?: (progress: any) => void;
+    trace?: any;
+}
+
+export type RequestAllOptions = {
+    timeout?: Timeout;
+    minResponses?: number;
+    metadata?: Metadata;
+    signal?: AbortSignal;
+    trace?: any;
+}
+
+export type PublishOptions = {
+    trace?: any;
+}
+
+export type CollectOptions = PublishOptions & {
+    timeout?: Timeout;
+}
@@ -1,10 +1,34 @@
-import { PublisherOptions } from './options'
+import { PublisherOptions, PublishOptions, CollectOptions, DurableOptions } from './options'
+import { Middleware } from './middleware'
 
-export default class Publisher<Data> {
+export type PublisherContext<Data> = {
+    channel: string;
+    id: string;
+    message: Data;
+    trace: any;
+    received?: number;
+    entry?: string;
+    outcomes?: Outcome[];
+}
+
+export type Outcome =
+    { subscriberId: string; ok: true; } |
+    { subscriberId: string; ok: false; error: any; }
+
+export type DurablePublisherOptions = PublisherOptions & { durable: true | DurableOptions };
 
-    constructor(channelName: string, options?: PublisherOptions)
+interface Publisher<Data, Durable extends boolean = false> {
+    use(fn: Middleware<PublisherContext<Data>>): this;
     connect(): Promise<void>;
     disconnect(): Promise<void>;
-    publish(message: Data): Promise<number>;
-
+    /** Resolves with the amount of recipients, or the id of the stream entry for durable publishers. */
+    publish(message: Data, options?: PublishOptions): Promise<Durable extends true ? string : number>;
+    publishAndCollect(message: Data, options?: CollectOptions): Promise<Outcome[]>;
 }
+
+declare const Publisher: {
+    new <Data>(channelName: string, options: DurablePublisherOptions): Publisher<Data, true>;
+    new <Data>(channelName: string, options?: PublisherOptions): Publisher<Data>;
+};
+
+export default Publisher;
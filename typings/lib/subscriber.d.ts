@@ -1,8 +1,33 @@
-import { SubscriberOptions } from './options'
+import { SubscriberOptions, ConnectionState } from './options'
+import { Middleware } from './middleware'
+
+export type SubscriberContext<Data> = {
+    channel: string;
+    id: string;
+    message: Data;
+    trace: any;
+}
+
+export type MessageContext = {
+    id: string;
+    channel: string;
+    trace: any;
+}
+
+export type MessageHandler<Data> = (data: Data, context: MessageContext) => any | void | Promise<any> | Promise<void>;
+
+export type SubscribeOptions = {
+    pattern?: boolean;
+}
 
 export default class Subscriber<Data> {
 
-    constructor(channelName: string, handle: (data: Data) => any | void | Promise<any> | Promise<void>, options?: SubscriberOptions)
+    readonly state: ConnectionState;
+
+    constructor(channelName?: string | null, handle?: MessageHandler<Data> | null, options?: SubscriberOptions)
+    use(fn: Middleware<SubscriberContext<Data>>): this;
+    subscribe(channelName: string, handle: MessageHandler<Data>, options?: SubscribeOptions): Promise<void>;
+    unsubscribe(channelName: string, options?: SubscribeOptions): Promise<boolean>;
     listen(): Promise<void>;
     stop(): Promise<void>;
 
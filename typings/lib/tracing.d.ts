@@ -0,0 +1,22 @@
+export type TraceCarrier = {
+    traceparent?: string;
+    tracestate?: string;
+}
+
+export type Tracer = {
+    inject(parent: any): TraceCarrier;
+    extract(carrier: TraceCarrier): any;
+}
+
+export type TraceContext = {
+    traceId: string;
+    spanId: string;
+    parentId: string;
+    flags: string;
+    traceparent: string;
+    tracestate?: string;
+}
+
+export const tracer: Tracer;
+export function parse(traceparent: string): { version: string, traceId: string, spanId: string, flags: string } | undefined;
+export function format(traceId: string, spanId: string, flags?: string): string;
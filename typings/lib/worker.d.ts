@@ -1,9 +1,38 @@
-import { WorkerOptions } from './options'
+import { WorkerOptions, Metadata, ConnectionState } from './options'
+import { Middleware } from './middleware'
+
+export type HandlerContext = {
+    id: string;
+    metadata: Metadata;
+    trace: any;
+    signal: AbortSignal;
+    emit(chunk: any): Promise<void>;
+    progress(value: any): Promise<void>;
+}
+
+export type WorkerContext<Data> = {
+    queue: string;
+    data: Data;
+    context: HandlerContext;
+    response?: any;
+}
+
+export type Handler<Data, Result> = (data: Data, context: HandlerContext) => Promise<Result> | AsyncIterable<any>;
+
+export type Methods = {
+    [name: string]: ((...args: any[]) => any) | Methods;
+}
 
 export default class Worker<Data, Result> {
 
-    constructor(queue: string, handle: (data: Data) => Promise<Result>, options?: WorkerOptions)
+    readonly expired: number;
+    readonly handled: number;
+    readonly state: ConnectionState;
+
+    constructor(queue: string, handle: Handler<Data, Result> | Methods, options?: WorkerOptions)
+    use(fn: Middleware<WorkerContext<Data>>): this;
     listen(): Promise<void>;
     stop(): Promise<void>;
+    recover(): Promise<number>;
 
 }